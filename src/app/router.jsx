@@ -4,22 +4,46 @@ import PublicLayout from "../layouts/PublicLayout";
 import AdminLayout from "../layouts/AdminLayout";
 import Home from "../pages/public/Home";
 import TestimonialSubmit from "../pages/public/TestimonialSubmit";
+import Album from "../pages/public/Album";
+import ClientGallery from "../pages/public/ClientGallery";
 import AdminLogin from "../pages/admin/Login";
 import AdminProfile from "../pages/admin/Profile";
 import AdminTestimonials from "../pages/admin/Testimonials";
 import { RequireAdmin } from "../routes/guards";
+import { PhotoRedirect } from "../routes/redirects";
 import AdminCarousel from "../pages/admin/Carousel";
 import AdminMasonry from "../pages/admin/Masonry";
+import AdminAlbums from "../pages/admin/Albums";
+import AdminAlbum from "../pages/admin/Album";
+import AdminClientGalleries from "../pages/admin/ClientGalleries";
+import AdminClientGallery from "../pages/admin/ClientGallery";
+import AdminStorageHealth from "../pages/admin/StorageHealth";
+import AdminTrash from "../pages/admin/Trash";
+import HomePreview from "../pages/admin/HomePreview";
 
 const publicRoutes = {
   element: <PublicLayout />,
   children: [
-    { index: true, element: <Home /> },
+    { index: true, element: <Home /> }, // ?photo=<id> opens the lightbox
+    { path: "photo/:photoId", element: <PhotoRedirect /> },
+    { path: "albums/:slug", element: <Album /> },
     { path: "t/:token", element: <TestimonialSubmit /> },
+    { path: "g/:token", element: <ClientGallery /> },
     { path: "*", element: <div className="p-6">Not found</div> },
   ],
 };
 
+// the home page with unpublished carousel / masonry changes, admins only
+const previewRoutes = {
+  path: "/preview",
+  element: (
+    <RequireAdmin>
+      <PublicLayout />
+    </RequireAdmin>
+  ),
+  children: [{ index: true, element: <HomePreview /> }],
+};
+
 const adminRoutes = {
   path: "/admin",
   children: [
@@ -34,11 +58,17 @@ const adminRoutes = {
         { index: true, element: <AdminProfile /> },          // /admin
         { path: "testimonials", element: <AdminTestimonials /> }, // /admin/testimonials
         { path: "carousel", element: <AdminCarousel /> },
-        { path: "masonry", element: <AdminMasonry /> }
+        { path: "masonry", element: <AdminMasonry /> },
+        { path: "albums", element: <AdminAlbums /> },
+        { path: "albums/:albumId", element: <AdminAlbum /> },
+        { path: "galleries", element: <AdminClientGalleries /> },
+        { path: "galleries/:token", element: <AdminClientGallery /> },
+        { path: "storage", element: <AdminStorageHealth /> },
+        { path: "trash", element: <AdminTrash /> },
       ],
     },
   ],
 };
 
-export const router = createBrowserRouter([publicRoutes, adminRoutes]);
+export const router = createBrowserRouter([publicRoutes, previewRoutes, adminRoutes]);
 export default router;
\ No newline at end of file
@@ -5,7 +5,11 @@ import {
   XMarkIcon,
   PhotoIcon,
   Squares2X2Icon,
+  RectangleStackIcon,
   ChatBubbleLeftRightIcon,
+  LockClosedIcon,
+  ServerStackIcon,
+  TrashIcon,
   UserCircleIcon,
 } from '@heroicons/react/24/outline'
 import { Link, useLocation } from 'react-router-dom'
@@ -18,7 +22,11 @@ function classNames(...classes) {
 const navigation = [
   { name: 'Carousel', href: '/admin/carousel', icon: PhotoIcon },
   { name: 'Masonry', href: '/admin/masonry', icon: Squares2X2Icon },
+  { name: 'Albums', href: '/admin/albums', icon: RectangleStackIcon },
+  { name: 'Galleries', href: '/admin/galleries', icon: LockClosedIcon },
   { name: 'Testimonials', href: '/admin/testimonials', icon: ChatBubbleLeftRightIcon },
+  { name: 'Storage', href: '/admin/storage', icon: ServerStackIcon },
+  { name: 'Trash', href: '/admin/trash', icon: TrashIcon },
   { name: 'Profile', href: '/admin', icon: UserCircleIcon },
 ]
 
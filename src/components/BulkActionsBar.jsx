@@ -0,0 +1,207 @@
+import { useState } from "react";
+import { XMarkIcon } from "@heroicons/react/20/solid";
+import Button from "./Button";
+import { parseTags } from "../lib/tags";
+
+const fieldInput =
+  "block w-full rounded-md border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:ring-2 focus:ring-indigo-600";
+const sectionLabel = "block text-xs font-medium text-gray-600";
+
+/**
+ * Actions for the selected cards of a MediaLibrary: delete, reorder as a
+ * block, move into another collection (`moveTargets`: [{ label, collectionPath, max }]),
+ * set alt text, add / remove tags and, with `scheduling`, publish or unpublish.
+ * Every handler receives the values only; the library applies them to the
+ * selection.
+ */
+export default function BulkActionsBar({
+  count,
+  total,
+  busy = false,
+  scheduling = false,
+  moveTargets = [],
+  onSelectAll,
+  onClear,
+  onDelete,
+  onMoveBlock,
+  onMoveTo,
+  onSetAlt,
+  onTags,
+  onPublish,
+}) {
+  const [alt, setAlt] = useState("");
+  const [tags, setTags] = useState("");
+  const [target, setTarget] = useState("");
+
+  const askPosition = () => {
+    const answer = prompt(`Move the selected block to position (1–${total}):`, "1");
+    if (answer === null) return;
+    const position = Number.parseInt(answer, 10);
+    if (!Number.isFinite(position) || position < 1 || position > total) {
+      alert(`Enter a position from 1 to ${total}.`);
+      return;
+    }
+    onMoveBlock(position);
+  };
+
+  const applyTags = async (mode) => {
+    const list = parseTags(tags);
+    if (list.length && (await onTags(list, mode))) setTags("");
+  };
+
+  return (
+    <div className="sticky top-2 z-30 space-y-3 rounded-xl border border-indigo-200 bg-white/95 p-4 shadow-lg backdrop-blur">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-gray-900">
+          {count} of {total} selected
+        </span>
+        {count < total && (
+          <Button variant="ghost" size="sm" onClick={onSelectAll} disabled={busy}>
+            Select all
+          </Button>
+        )}
+        <span className="flex-1" />
+        <Button
+          variant="destructive"
+          size="sm"
+          onClick={onDelete}
+          loading={busy}
+          loadingText="Working…"
+        >
+          Delete {count}
+        </Button>
+        <button
+          type="button"
+          onClick={onClear}
+          className="rounded-md p-1.5 text-gray-500 hover:bg-gray-100 hover:text-gray-700"
+          title="Clear selection (Esc)"
+        >
+          <XMarkIcon className="size-5" aria-hidden="true" />
+          <span className="sr-only">Clear selection</span>
+        </button>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2 xl:grid-cols-4">
+        <div>
+          <span className={sectionLabel}>Order</span>
+          <div className="mt-1 flex flex-wrap gap-2">
+            <Button variant="outline" size="sm" onClick={() => onMoveBlock(1)} disabled={busy}>
+              To top
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => onMoveBlock(total)} disabled={busy}>
+              To bottom
+            </Button>
+            <Button variant="outline" size="sm" onClick={askPosition} disabled={busy}>
+              To position…
+            </Button>
+          </div>
+        </div>
+
+        <form
+          onSubmit={async (e) => {
+            e.preventDefault();
+            if (alt.trim() && (await onSetAlt(alt.trim()))) setAlt("");
+          }}
+        >
+          <label htmlFor="bulk-alt" className={sectionLabel}>
+            Alt text
+          </label>
+          <div className="mt-1 flex gap-2">
+            <input
+              id="bulk-alt"
+              type="text"
+              value={alt}
+              placeholder="Same description for all"
+              disabled={busy}
+              onChange={(e) => setAlt(e.target.value)}
+              className={fieldInput}
+            />
+            <Button type="submit" variant="outline" size="sm" disabled={busy || !alt.trim()}>
+              Set
+            </Button>
+          </div>
+        </form>
+
+        <div>
+          <label htmlFor="bulk-tags" className={sectionLabel}>
+            Tags
+          </label>
+          <div className="mt-1 flex gap-2">
+            <input
+              id="bulk-tags"
+              type="text"
+              value={tags}
+              placeholder="event:wedding, city:napa"
+              disabled={busy}
+              onChange={(e) => setTags(e.target.value)}
+              className={fieldInput}
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => applyTags("add")}
+              disabled={busy || !tags.trim()}
+            >
+              Add
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => applyTags("remove")}
+              disabled={busy || !tags.trim()}
+            >
+              Remove
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          {moveTargets.length > 0 && (
+            <div>
+              <label htmlFor="bulk-target" className={sectionLabel}>
+                Move to
+              </label>
+              <div className="mt-1 flex gap-2">
+                <select
+                  id="bulk-target"
+                  value={target}
+                  disabled={busy}
+                  onChange={(e) => setTarget(e.target.value)}
+                  className={fieldInput}
+                >
+                  <option value="">Choose an album…</option>
+                  {moveTargets.map((t) => (
+                    <option key={t.collectionPath} value={t.collectionPath}>
+                      {t.label}
+                    </option>
+                  ))}
+                </select>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => onMoveTo(moveTargets.find((t) => t.collectionPath === target))}
+                  disabled={busy || !target}
+                >
+                  Move
+                </Button>
+              </div>
+            </div>
+          )}
+          {scheduling && (
+            <div>
+              <span className={sectionLabel}>Visibility</span>
+              <div className="mt-1 flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => onPublish(true)} disabled={busy}>
+                  Publish now
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => onPublish(false)} disabled={busy}>
+                  Make draft
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,10 @@
 import { useEffect, useRef, useState } from "react";
 import useWindowSize from "../hooks/useWindowSize";
+import { objectPosition } from "../lib/framing";
+import Picture from "./Picture";
+
+// A slide composed for phones: a mobile image, or a crop for the portrait frame.
+const hasPortrait = (slide) => Boolean(slide?.hasMobile || slide?.framing?.crops?.mobile);
 
 export default function Carousel({ headerHeight, images = [], intervalMs = 5000 }) {
   const [current, setCurrent] = useState(0);
@@ -24,10 +29,18 @@ export default function Carousel({ headerHeight, images = [], intervalMs = 5000
 
   if (!images.length) return null;
 
+  // slides can be removed live; stay on the last one rather than run past the end
+  const active = Math.min(current, images.length - 1);
+  const { caption, credit } = images[active] || {};
+  // phones keep the 16:9 frame unless the slide on show was framed for portrait
+  const portrait = isMobile && hasPortrait(images[active]);
+
   return (
     <div
       ref={containerRef}
-      className={`relative w-full overflow-hidden ${isMobile ? "aspect-video" : ""}`}
+      className={`relative w-full overflow-hidden ${
+        isMobile ? (portrait ? "aspect-[4/5]" : "aspect-video") : ""
+      }`}
       style={dynamicHeight ? { height: dynamicHeight } : {}}
       onMouseEnter={() => setPaused(true)}
       onMouseLeave={() => setPaused(false)}
@@ -35,27 +48,49 @@ export default function Carousel({ headerHeight, images = [], intervalMs = 5000
       aria-roledescription="carousel"
       aria-label="Image carousel"
     >
-      {images.map((src, index) => {
-        const isActive = index === current;
+      {images.map((slide, index) => {
+        const { id, src, srcSet, sources, alt, framing, hasMobile } = slide;
+        const isActive = index === active;
         const isAdjacent =
-          index === (current + 1) % images.length ||
-          index === (current - 1 + images.length) % images.length;
+          index === (active + 1) % images.length ||
+          index === (active - 1 + images.length) % images.length;
 
         return (
-          <img
-            key={index}
+          <Picture
+            key={id}
+            sources={sources}
             src={src}
-            alt={`Slide ${index + 1}`}
+            srcSet={srcSet}
+            sizes="100vw"
+            alt={alt || `Slide ${index + 1}`}
             loading={isActive || isAdjacent ? "eager" : "lazy"}
             decoding="async"
             fetchPriority={isActive ? "high" : "auto"}
             className={`absolute inset-0 object-cover transition-opacity duration-700 ease-out
               ${isActive ? "opacity-100 z-20" : "opacity-0 z-10"}
             animated-zoom`}
-            style={{ willChange: "opacity, transform" }}
+            style={{
+              willChange: "opacity, transform",
+              // a mobile image is composed for the portrait frame already
+              objectPosition:
+                isMobile && hasMobile
+                  ? undefined
+                  : objectPosition(framing, portrait && hasPortrait(slide) ? "mobile" : "desktop"),
+            }}
           />
         );
       })}
+
+      {(caption || credit) && (
+        <div
+          key={active}
+          className="absolute bottom-4 left-4 z-30 max-w-[80%] rounded-md bg-black/45 px-3 py-2 text-white backdrop-blur-sm"
+          aria-live="polite"
+        >
+          {caption && <p className="text-sm sm:text-base">{caption}</p>}
+          {credit && <p className="text-xs text-white/80">Photo: {credit}</p>}
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { Link } from "react-router-dom";
+import { CheckCircleIcon, EyeIcon } from "@heroicons/react/20/solid";
+import Button from "./Button";
+import { useToast } from "./ToastProvider";
+import { useHomeRelease } from "../hooks/useHomeRelease";
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(" ");
+}
+
+function summary(status) {
+  if (!status) return "Checking for unpublished changes…";
+  const pending = Object.values(status.collections).filter((c) => !c.published);
+  if (pending.length) return "The home page hasn’t been published from the draft yet.";
+  if (!status.changeCount) return "The home page is up to date.";
+  const n = status.changeCount;
+  return `${n} unpublished change${n === 1 ? "" : "s"} to the home page.`;
+}
+
+/**
+ * Carousel and masonry edits are a draft until published (see
+ * lib/homeRelease). Shows what is pending, links to /preview and publishes.
+ */
+export default function HomePublishBar({ showPreviewLink = true, className }) {
+  const { status, publishing, publish, canPublish } = useHomeRelease();
+  const { showToast } = useToast();
+
+  const onPublish = async () => {
+    if (!confirm("Publish the draft carousel and masonry to the live home page?")) return;
+    try {
+      const { published, removed } = await publish();
+      showToast(
+        removed
+          ? `Published ${published} images, removed ${removed}`
+          : `Published ${published} images`
+      );
+    } catch (err) {
+      console.error(err);
+      showToast(err?.message || "Publishing failed", "error");
+    }
+  };
+
+  return (
+    <div
+      className={classNames(
+        "flex flex-wrap items-center justify-between gap-3 rounded-lg border px-4 py-3 text-sm",
+        canPublish
+          ? "border-indigo-200 bg-indigo-50 text-indigo-900"
+          : "border-gray-200 bg-white text-gray-700",
+        className
+      )}
+    >
+      <span className="inline-flex items-center gap-2">
+        {status && !canPublish && (
+          <CheckCircleIcon className="size-4 text-green-600" aria-hidden="true" />
+        )}
+        {summary(status)}
+      </span>
+      <div className="flex items-center gap-2">
+        {showPreviewLink && (
+          <Link
+            to="/preview"
+            target="_blank"
+            className="inline-flex h-8 items-center gap-1 rounded-md border border-gray-300 bg-white px-3 font-medium text-gray-900 hover:bg-gray-100"
+          >
+            <EyeIcon className="size-4" aria-hidden="true" />
+            Preview
+          </Link>
+        )}
+        <Button
+          size="sm"
+          onClick={onPublish}
+          disabled={!canPublish}
+          loading={publishing}
+          loadingText="Publishing…"
+        >
+          Publish
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,292 @@
+import { useRef, useState } from "react";
+import Cropper from "react-easy-crop";
+import { Dialog, DialogPanel, DialogTitle } from "@headlessui/react";
+import { ArrowUturnLeftIcon, ArrowUturnRightIcon } from "@heroicons/react/20/solid";
+import Button from "./Button";
+import { normalizeRotation, objectPosition, toCrop } from "../lib/framing";
+
+const FOCAL_TAB = "focal";
+
+function classNames(...c) {
+  return c.filter(Boolean).join(" ");
+}
+
+/* ---------------- FocalPointPicker ---------------- */
+// The image turned by `rotation`, laid out in a box of the turned shape so
+// clicks map straight to percentages of the image as it will be served.
+// Without `onChange` it only previews the turn.
+function FocalPointPicker({ src, aspect, rotation, value, onChange }) {
+  const quarter = rotation % 180 !== 0;
+  const shownAspect = quarter ? 1 / aspect : aspect;
+
+  const pick = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    onChange({
+      x: Math.round(((e.clientX - box.left) / box.width) * 1000) / 10,
+      y: Math.round(((e.clientY - box.top) / box.height) * 1000) / 10,
+    });
+  };
+
+  return (
+    <div className="grid h-full place-items-center">
+      <div
+        className={classNames("relative overflow-hidden", onChange && "cursor-crosshair")}
+        // as large as fits the h-96 stage
+        style={{ aspectRatio: shownAspect, width: `min(100%, ${24 * shownAspect}rem)` }}
+        onClick={onChange && pick}
+      >
+        <img
+          src={src}
+          alt=""
+          draggable={false}
+          className="absolute left-1/2 top-1/2 max-w-none select-none"
+          style={{
+            width: quarter ? `${100 * aspect}%` : "100%",
+            height: quarter ? `${100 / aspect}%` : "100%",
+            transform: `translate(-50%, -50%) rotate(${rotation}deg)`,
+          }}
+        />
+        {value && (
+          <span
+            className="pointer-events-none absolute size-6 -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white bg-indigo-600/60 shadow ring-1 ring-black/30"
+            style={{ left: `${value.x}%`, top: `${value.y}%` }}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Preview ---------------- */
+function FramePreview({ src, aspect, rotation, position, label }) {
+  if (rotation) return null; // the served image isn't turned until saved
+  return (
+    <figure className="w-28 shrink-0">
+      <div className="overflow-hidden rounded-md bg-gray-100" style={{ aspectRatio: aspect }}>
+        <img src={src} alt="" className="size-full object-cover" style={{ objectPosition: position }} />
+      </div>
+      <figcaption className="mt-1 text-center text-xs text-gray-500">{label}</figcaption>
+    </figure>
+  );
+}
+
+/* ---------------- Main Component ---------------- */
+/**
+ * Modal for the framing of one media item: a crop per entry of `variants`
+ * (see CROP_VARIANTS in lib/framing), a focal point used everywhere else and
+ * quarter-turn rotation. Nothing is re-uploaded for crops or the focal point;
+ * `onSave({ framing, rotation })` receives the new metadata. With
+ * `focalPoint={false}` (images shown uncropped) only the crops and rotation
+ * are offered.
+ */
+export default function ImageFramingEditor({
+  item,
+  variants = [],
+  focalPoint: withFocalPoint = true,
+  open,
+  onClose,
+  onSave,
+}) {
+  const [tab, setTab] = useState(variants[0]?.key ?? (withFocalPoint ? FOCAL_TAB : null));
+  const [turn, setTurn] = useState(0); // on top of the item's current rotation
+  const [crops, setCrops] = useState(() => ({ ...item.framing?.crops }));
+  const [focalPoint, setFocalPoint] = useState(item.framing?.focalPoint ?? null);
+  const [position, setPosition] = useState({ x: 0, y: 0 });
+  const [saving, setSaving] = useState(false);
+  // only crops the admin actually moved are stored; untouched ones stay centred
+  const touchedRef = useRef(false);
+
+  const src = item.optimizedURL;
+  const aspect = item.aspectRatio || 3 / 2;
+  const variant = variants.find((v) => v.key === tab);
+  const framing = { focalPoint, crops };
+
+  const rotate = (deg) => {
+    setTurn((t) => normalizeRotation(t + deg));
+    // saved crops and the focal point describe the image the old way round
+    setCrops({});
+    setFocalPoint(null);
+    setPosition({ x: 0, y: 0 });
+  };
+
+  const selectTab = (key) => {
+    touchedRef.current = false;
+    setPosition({ x: 0, y: 0 });
+    setTab(key);
+  };
+
+  const resetTab = () => {
+    touchedRef.current = false;
+    if (variant) {
+      setCrops((c) => {
+        const next = { ...c };
+        delete next[variant.key];
+        return next;
+      });
+      setPosition({ x: 0, y: 0 });
+    } else {
+      setFocalPoint(null);
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await onSave({
+        framing: {
+          ...(focalPoint && { focalPoint }),
+          crops: Object.fromEntries(
+            variants.filter((v) => crops[v.key]).map((v) => [v.key, crops[v.key]])
+          ),
+        },
+        rotation: normalizeRotation((item.rotation || 0) + turn),
+      });
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const tabs = [
+    ...variants.map((v) => ({ key: v.key, label: v.label })),
+    ...(withFocalPoint ? [{ key: FOCAL_TAB, label: "Focal point" }] : []),
+  ];
+  const hasValue = variant ? Boolean(crops[variant.key]) : withFocalPoint && Boolean(focalPoint);
+
+  return (
+    <Dialog open={open} onClose={() => !saving && onClose()} className="relative z-50">
+      <div className="fixed inset-0 bg-black/60" aria-hidden="true" />
+      <div className="fixed inset-0 grid place-items-center p-4">
+        <DialogPanel className="w-full max-w-3xl space-y-4 rounded-xl bg-white p-4 shadow-xl">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <DialogTitle className="text-base/7 font-semibold text-gray-900">
+              {tabs.length ? "Framing" : "Rotate"}
+            </DialogTitle>
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => rotate(-90)}
+                title="Rotate left"
+                aria-label="Rotate left"
+              >
+                <ArrowUturnLeftIcon className="size-4" aria-hidden="true" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => rotate(90)}
+                title="Rotate right"
+                aria-label="Rotate right"
+              >
+                <ArrowUturnRightIcon className="size-4" aria-hidden="true" />
+              </Button>
+            </div>
+          </div>
+
+          {tabs.length > 0 && (
+            <div className="flex gap-1 border-b border-gray-200" role="tablist">
+              {tabs.map((t) => (
+                <button
+                  key={t.key}
+                  type="button"
+                  role="tab"
+                  aria-selected={tab === t.key}
+                  onClick={() => selectTab(t.key)}
+                  className={classNames(
+                    "-mb-px border-b-2 px-3 py-2 text-sm font-medium",
+                    tab === t.key
+                      ? "border-indigo-600 text-indigo-600"
+                      : "border-transparent text-gray-500 hover:text-gray-700"
+                  )}
+                >
+                  {t.label}
+                  {(t.key === FOCAL_TAB ? focalPoint : crops[t.key]) && (
+                    <span className="ml-1.5 inline-block size-1.5 rounded-full bg-indigo-600 align-middle" />
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div
+            className="relative h-96 overflow-hidden rounded-lg bg-gray-900"
+            onKeyDown={() => (touchedRef.current = true)}
+          >
+            {variant ? (
+              <Cropper
+                key={`${variant.key}:${turn}`}
+                image={src}
+                crop={position}
+                zoom={1}
+                minZoom={1}
+                maxZoom={1}
+                zoomWithScroll={false}
+                rotation={turn}
+                aspect={variant.aspect}
+                initialCroppedAreaPercentages={crops[variant.key]}
+                onCropChange={setPosition}
+                onInteractionStart={() => (touchedRef.current = true)}
+                onCropComplete={(area) => {
+                  if (touchedRef.current) setCrops((c) => ({ ...c, [variant.key]: toCrop(area) }));
+                }}
+              />
+            ) : (
+              <FocalPointPicker
+                src={src}
+                aspect={aspect}
+                rotation={turn}
+                value={withFocalPoint ? focalPoint : null}
+                onChange={withFocalPoint ? setFocalPoint : undefined}
+              />
+            )}
+          </div>
+
+          <p className="text-sm text-gray-600">
+            {variant
+              ? `Drag the image to choose what a ${variant.label.toLowerCase()} frame shows.`
+              : withFocalPoint
+              ? "Click the part of the photo that must stay in view wherever it is cropped."
+              : "Turn the photo with the buttons above."}
+            {turn ? " Saving rebuilds the served images the new way round; the original is kept." : ""}
+          </p>
+
+          <div className="flex flex-wrap items-end justify-between gap-4">
+            <div className="flex gap-3">
+              {variants.map((v) => (
+                <FramePreview
+                  key={v.key}
+                  src={src}
+                  aspect={v.aspect}
+                  rotation={turn}
+                  position={objectPosition(framing, v.key)}
+                  label={v.label}
+                />
+              ))}
+              {withFocalPoint && (
+                <FramePreview
+                  src={src}
+                  aspect={1}
+                  rotation={turn}
+                  position={objectPosition(framing)}
+                  label="Square"
+                />
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              <Button variant="ghost" onClick={resetTab} disabled={!hasValue || saving}>
+                Reset
+              </Button>
+              <Button variant="outline" onClick={onClose} disabled={saving}>
+                Cancel
+              </Button>
+              <Button onClick={save} loading={saving} loadingText="Saving…">
+                Save
+              </Button>
+            </div>
+          </div>
+        </DialogPanel>
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,147 @@
+import { useEffect, useRef } from "react";
+import { Dialog, DialogPanel } from "@headlessui/react";
+import { AnimatePresence, motion } from "framer-motion";
+import { ChevronLeftIcon, ChevronRightIcon, XMarkIcon } from "@heroicons/react/24/outline";
+import Picture from "./Picture";
+
+const MotionDiv = motion.div;
+
+const SWIPE_PX = 50;
+
+/**
+ * Full-screen viewer for a list of images ({ id, src, srcSet, sources, alt,
+ * caption, credit }). `index` is controlled by the parent; arrows, keyboard
+ * and horizontal swipes call `onNavigate(nextIndex)`.
+ */
+export default function Lightbox({ images, index, onClose, onNavigate }) {
+  const touchRef = useRef(null);
+  const open = index != null && index >= 0 && index < images.length;
+  const count = images.length;
+  const img = open ? images[index] : null;
+
+  const prev = () => onNavigate((index - 1 + count) % count);
+  const next = () => onNavigate((index + 1) % count);
+
+  useEffect(() => {
+    if (!open || count < 2) return;
+    const onKey = (e) => {
+      if (e.key === "ArrowLeft") onNavigate((index - 1 + count) % count);
+      if (e.key === "ArrowRight") onNavigate((index + 1) % count);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open, index, count, onNavigate]);
+
+  const onTouchStart = (e) => {
+    const t = e.touches[0];
+    touchRef.current = { x: t.clientX, y: t.clientY };
+  };
+  const onTouchEnd = (e) => {
+    const start = touchRef.current;
+    touchRef.current = null;
+    if (!start || count < 2) return;
+    const t = e.changedTouches[0];
+    const dx = t.clientX - start.x;
+    const dy = t.clientY - start.y;
+    if (Math.abs(dx) < SWIPE_PX || Math.abs(dx) < Math.abs(dy)) return;
+    if (dx > 0) prev();
+    else next();
+  };
+
+  // neighbours rendered hidden so the browser fetches them ahead of time
+  const neighbours =
+    open && count > 1
+      ? [images[(index + 1) % count], images[(index - 1 + count) % count]].filter(
+          (n, i, arr) => arr.findIndex((m) => m.id === n.id) === i
+        )
+      : [];
+
+  return (
+    <Dialog open={open} onClose={onClose} className="relative z-[70]">
+      <div className="fixed inset-0 bg-black/90" aria-hidden="true" />
+      <DialogPanel
+        className="fixed inset-0 flex flex-col text-white"
+        onTouchStart={onTouchStart}
+        onTouchEnd={onTouchEnd}
+      >
+        <div className="flex items-center justify-between p-4 text-sm text-white/70">
+          <span>{open ? `${index + 1} / ${count}` : ""}</span>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full p-2 hover:bg-white/10 focus:outline-none focus-visible:ring-2 focus-visible:ring-white"
+          >
+            <span className="sr-only">Close</span>
+            <XMarkIcon className="size-6" aria-hidden="true" />
+          </button>
+        </div>
+
+        <div className="relative flex min-h-0 flex-1 items-center justify-center px-4 sm:px-16">
+          <AnimatePresence initial={false} mode="popLayout">
+            {img && (
+              <MotionDiv
+                key={img.id}
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                transition={{ duration: 0.25 }}
+                className="flex h-full w-full items-center justify-center"
+              >
+                <Picture
+                  sources={img.sources}
+                  src={img.src}
+                  srcSet={img.srcSet}
+                  sizes="100vw"
+                  alt={img.alt}
+                  decoding="async"
+                  draggable={false}
+                  className="max-h-full max-w-full select-none object-contain"
+                />
+              </MotionDiv>
+            )}
+          </AnimatePresence>
+
+          {count > 1 && (
+            <>
+              <button
+                type="button"
+                onClick={prev}
+                className="absolute left-2 top-1/2 hidden -translate-y-1/2 rounded-full p-2 hover:bg-white/10 focus:outline-none focus-visible:ring-2 focus-visible:ring-white sm:block"
+              >
+                <span className="sr-only">Previous photo</span>
+                <ChevronLeftIcon className="size-8" aria-hidden="true" />
+              </button>
+              <button
+                type="button"
+                onClick={next}
+                className="absolute right-2 top-1/2 hidden -translate-y-1/2 rounded-full p-2 hover:bg-white/10 focus:outline-none focus-visible:ring-2 focus-visible:ring-white sm:block"
+              >
+                <span className="sr-only">Next photo</span>
+                <ChevronRightIcon className="size-8" aria-hidden="true" />
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="min-h-16 p-4 text-center" aria-live="polite">
+          {img?.caption && <p className="text-base">{img.caption}</p>}
+          {img?.credit && <p className="text-xs text-white/60">Photo: {img.credit}</p>}
+        </div>
+
+        <div hidden>
+          {neighbours.map((n) => (
+            <Picture
+              key={n.id}
+              sources={n.sources}
+              src={n.src}
+              srcSet={n.srcSet}
+              sizes="100vw"
+              alt=""
+              loading="eager"
+            />
+          ))}
+        </div>
+      </DialogPanel>
+    </Dialog>
+  );
+}
@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from "react";
+import { DETAIL_FIELDS } from "../lib/mediaLibrary";
+
+const FIELDS = [
+  { key: "alt", label: "Alt text", placeholder: "Describe the photo for screen readers" },
+  { key: "caption", label: "Caption", placeholder: "Optional" },
+  { key: "credit", label: "Credit", placeholder: "Photographer / second shooter" },
+];
+
+function pickDetails(item) {
+  return Object.fromEntries(DETAIL_FIELDS.map((k) => [k, item[k] || ""]));
+}
+
+/**
+ * Inline alt text / caption / credit inputs for an admin media card.
+ * Changes are saved on blur through `onSave(changedFields)`.
+ */
+export default function MediaDetailsEditor({ item, disabled = false, onSave }) {
+  const [draft, setDraft] = useState(() => pickDetails(item));
+  const remoteRef = useRef(pickDetails(item));
+  const { alt, caption, credit } = item;
+
+  // Follow remote edits (other tabs / admins), but only for the fields that
+  // actually changed so typing in a neighbouring input isn't clobbered.
+  useEffect(() => {
+    const next = pickDetails({ alt, caption, credit });
+    const prev = remoteRef.current;
+    remoteRef.current = next;
+    const changed = DETAIL_FIELDS.filter((k) => next[k] !== prev[k]);
+    if (changed.length) {
+      setDraft((d) => ({ ...d, ...Object.fromEntries(changed.map((k) => [k, next[k]])) }));
+    }
+  }, [alt, caption, credit]);
+
+  const commit = () => {
+    const changed = Object.fromEntries(
+      DETAIL_FIELDS.filter((k) => draft[k].trim() !== (item[k] || "")).map((k) => [
+        k,
+        draft[k].trim(),
+      ])
+    );
+    if (Object.keys(changed).length) onSave(changed);
+  };
+
+  return (
+    <div className="space-y-2 px-3 pt-3 text-sm">
+      {FIELDS.map((f) => (
+        <label key={f.key} className="block">
+          <span className="block text-xs font-medium text-gray-600">{f.label}</span>
+          <input
+            type="text"
+            value={draft[f.key]}
+            placeholder={f.placeholder}
+            disabled={disabled}
+            onChange={(e) => setDraft((d) => ({ ...d, [f.key]: e.target.value }))}
+            onBlur={commit}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") e.currentTarget.blur();
+            }}
+            className="mt-1 block w-full rounded-md border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:ring-2 focus:ring-indigo-600"
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,949 @@
+import { useEffect, useId, useRef, useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { Menu, MenuButton, MenuItem, MenuItems } from "@headlessui/react";
+import {
+  ArrowsUpDownIcon,
+  Bars2Icon,
+  DevicePhoneMobileIcon,
+  ExclamationTriangleIcon,
+} from "@heroicons/react/20/solid";
+import BulkActionsBar from "./BulkActionsBar";
+import Button from "./Button";
+import Coachmark from "./Coachmark";
+import ImageFramingEditor from "./ImageFramingEditor";
+import MediaDetailsEditor from "./MediaDetailsEditor";
+import MediaTagsEditor from "./MediaTagsEditor";
+import PublishScheduleEditor from "./PublishScheduleEditor";
+import UploadQueue from "./UploadQueue";
+import { useToast } from "./ToastProvider";
+import { useAutoCoachmark } from "../hooks/useAutoCoachmark";
+import { useKeyboardSort } from "../hooks/useKeyboardSort";
+import { useMediaLibrary } from "../hooks/useMediaLibrary";
+import { usePointerSort } from "../hooks/usePointerSort";
+import { useZipDownload } from "../hooks/useZipDownload";
+import { originalsForZip, safeFileName } from "../lib/download";
+import { formatExif } from "../lib/exif";
+import { objectPosition } from "../lib/framing";
+import { backfillDimensions, needsDimensions } from "../lib/mediaLibrary";
+import { visibilityFields } from "../lib/publishing";
+import { splitFacetTag, tagFields, tagLabel, withTags } from "../lib/tags";
+
+const MotionDiv = motion.div;
+// how long the "Undo" of a delete stays on screen
+const UNDO_MS = 6000;
+const ORDER_NOTICES = {
+  conflict:
+    "Someone else reordered these images at the same time. Your move was applied on top " +
+    "of their changes, so check the order.",
+  remote: "The order was just changed in another tab or by another admin.",
+};
+// clicks on these never toggle a card's selection
+const CONTROLS = "input, textarea, select, button, a, label";
+const MotionImg = motion.img;
+
+/* ---------- Accessibility hook for reduced motion ---------- */
+function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(false);
+  useEffect(() => {
+    if (typeof window === "undefined" || !window.matchMedia) return;
+    const mq = window.matchMedia("(prefers-reduced-motion: reduce)");
+    const onChange = () => setReduced(mq.matches);
+    onChange();
+    if (mq.addEventListener) mq.addEventListener("change", onChange);
+    else mq.addListener(onChange);
+    return () => {
+      if (mq.removeEventListener) mq.removeEventListener("change", onChange);
+      else mq.removeListener(onChange);
+    };
+  }, []);
+  return reduced;
+}
+
+/* ---------- Animated image (with badge) ---------- */
+function MediaAnimatedImage({
+  src,
+  alt = "",
+  badgeContent,
+  warning,
+  fill = false,
+  position,
+  containerClassName = "",
+}) {
+  const reduce = usePrefersReducedMotion();
+  return (
+    <div className={`relative grid [grid-template-areas:_'stack'] overflow-hidden ${containerClassName}`}>
+      {badgeContent && (
+        <span className="absolute left-2 top-2 z-30 rounded-full bg-black/60 text-white text-xs px-2 py-1 leading-none">
+          {badgeContent}
+        </span>
+      )}
+      {warning && (
+        <span className="absolute right-2 top-2 z-30 inline-flex items-center gap-1 rounded-full bg-amber-500 text-white text-xs px-2 py-1 leading-none shadow">
+          <ExclamationTriangleIcon className="size-3.5" aria-hidden="true" />
+          {warning}
+        </span>
+      )}
+      <AnimatePresence initial={false} mode="popLayout">
+        <MotionImg
+          key={src}
+          src={src}
+          alt={alt}
+          draggable={false}
+          loading="lazy"
+          className={`block w-full ${fill ? "h-full" : "h-auto"} object-cover [grid-area:stack]`}
+          initial={{ opacity: 0, scale: reduce ? 1.0 : 1.02 }}
+          animate={{
+            opacity: 1,
+            scale: 1.0,
+            transition: {
+              opacity: { duration: reduce ? 0.15 : 0.7, ease: "easeOut" },
+              scale: { duration: reduce ? 0.0 : 7.0, ease: "linear" },
+            },
+          }}
+          exit={{ opacity: 0, transition: { duration: reduce ? 0.1 : 0.4 } }}
+          style={{ willChange: "opacity, transform", objectPosition: position }}
+        />
+      </AnimatePresence>
+    </div>
+  );
+}
+
+/* ---------- Mobile art direction ---------- */
+function MobileVariantRow({ item, disabled, onPick, onRemove }) {
+  const inputRef = useRef(null);
+  const { mobile } = item;
+  return (
+    <div className="flex items-center gap-3 px-3 pt-3 text-sm">
+      {mobile ? (
+        <img
+          src={mobile.optimizedURL}
+          alt=""
+          className="aspect-[4/5] w-8 shrink-0 rounded object-cover ring-1 ring-black/10"
+        />
+      ) : (
+        <DevicePhoneMobileIcon className="size-5 shrink-0 text-gray-400" aria-hidden="true" />
+      )}
+      <span className="min-w-0 flex-1 truncate text-xs text-gray-600">
+        {mobile ? "Mobile image" : "Phones crop the main image"}
+      </span>
+      <Button
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+        variant="ghost"
+        size="sm"
+        title="Image shown on screens narrower than 640px"
+      >
+        {mobile ? "Replace" : "Add mobile"}
+      </Button>
+      {mobile && (
+        <Button onClick={onRemove} disabled={disabled} variant="ghost" size="sm">
+          Remove
+        </Button>
+      )}
+      <input
+        type="file"
+        accept="image/*"
+        hidden
+        ref={inputRef}
+        onChange={(e) => {
+          const f = e.target.files?.[0];
+          e.target.value = "";
+          if (f) onPick(f);
+        }}
+      />
+    </div>
+  );
+}
+
+/* ---------- Move menu ---------- */
+const menuItem =
+  "block w-full px-3 py-1.5 text-left text-sm text-gray-700 data-[focus]:bg-gray-100 data-[disabled]:opacity-40";
+
+function MoveMenu({ position, count, disabled, onMove }) {
+  const askPosition = () => {
+    const answer = prompt(`Move to position (1–${count}):`, String(position));
+    if (answer === null) return;
+    const to = Number.parseInt(answer, 10);
+    if (!Number.isFinite(to) || to < 1 || to > count) {
+      alert(`Enter a position from 1 to ${count}.`);
+      return;
+    }
+    onMove(to);
+  };
+  return (
+    <Menu>
+      <MenuButton
+        disabled={disabled}
+        className="inline-flex items-center rounded-md p-1.5 text-gray-500 hover:bg-gray-100 hover:text-gray-700 disabled:opacity-40"
+        title="Move"
+      >
+        <ArrowsUpDownIcon className="size-4" aria-hidden="true" />
+        <span className="sr-only">Move</span>
+      </MenuButton>
+      <MenuItems
+        anchor="bottom start"
+        className="z-40 min-w-40 rounded-md bg-white py-1 shadow-lg ring-1 ring-black/10 focus:outline-none"
+      >
+        <MenuItem disabled={position === 1}>
+          <button type="button" className={menuItem} onClick={() => onMove(1)}>
+            Send to top
+          </button>
+        </MenuItem>
+        <MenuItem disabled={position === count}>
+          <button type="button" className={menuItem} onClick={() => onMove(count)}>
+            Send to bottom
+          </button>
+        </MenuItem>
+        <MenuItem>
+          <button type="button" className={menuItem} onClick={askPosition}>
+            Move to position…
+          </button>
+        </MenuItem>
+      </MenuItems>
+    </Menu>
+  );
+}
+
+const CARD_STYLES = `
+  .card {
+    position: relative;
+    transition:
+      transform 220ms cubic-bezier(.2,.8,.2,1),
+      box-shadow 220ms ease,
+      border-color 220ms ease,
+      filter 220ms ease;
+    border: 1px solid rgba(0,0,0,0.08);
+    border-radius: 0.75rem; /* rounded-xl */
+    background: white;
+    will-change: transform, box-shadow, filter;
+  }
+
+  .card:hover {
+    transform: translateY(-2px) scale(1.01);
+    box-shadow:
+      0 14px 30px rgba(0,0,0,.10),
+      0 3px 10px rgba(0,0,0,.08);
+  }
+
+  .card:active {
+    transform: translateY(0) scale(0.997);
+    cursor: grabbing;
+    box-shadow: 0 10px 22px rgba(0,0,0,.10);
+  }
+
+  /* --- gradient border on hover --- */
+  .card::before {
+    content: "";
+    position: absolute;
+    inset: 0;
+    border-radius: inherit;
+    padding: 1px;
+    background: linear-gradient(135deg, #a78bfa, #6366f1, #22d3ee);
+    -webkit-mask:
+      linear-gradient(#fff 0 0) content-box,
+      linear-gradient(#fff 0 0);
+    -webkit-mask-composite: xor;
+            mask-composite: exclude;
+    pointer-events: none;
+    opacity: 0;
+    transition: opacity 220ms ease;
+  }
+  .card:hover::before { opacity: 1; }
+
+  /* --- optional shine sweep --- */
+  .card::after {
+    content: "";
+    position: absolute;
+    inset: -1px;
+    border-radius: inherit;
+    pointer-events: none;
+    background: linear-gradient(120deg,
+      transparent 0%,
+      rgba(255,255,255,0.18) 10%,
+      transparent 22%);
+    transform: translateX(-130%);
+    transition: transform 600ms ease;
+  }
+  .card:hover::after { transform: translateX(130%); }
+
+  /* --- media zoom + color pop --- */
+  .card .media img {
+    transition: transform 750ms ease, filter 240ms ease;
+    transform-origin: center;
+    will-change: transform, filter;
+  }
+  .card:hover .media img {
+    transform: scale(1.04);
+    filter: saturate(1.06);
+  }
+
+  /* --- spotlight + press ripple --- */
+  .card .spotlight {
+    position: absolute;
+    inset: 0;
+    border-radius: inherit;
+    pointer-events: none;
+    background: radial-gradient(220px circle at 50% 50%, rgba(99,102,241,0.18), transparent 60%);
+    opacity: 0;
+    transition: opacity 220ms ease;
+  }
+  .card:hover .spotlight { opacity: 1; }
+
+  .card .press {
+    position: absolute;
+    inset: 0;
+    border-radius: inherit;
+    pointer-events: none;
+    transform: translateZ(0);
+  }
+  .card:active .press {
+    animation: pressPulse 480ms ease-out;
+    background: radial-gradient(200px circle at 50% 50%, rgba(99,102,241,0.28), transparent 60%);
+  }
+  @keyframes pressPulse {
+    0%   { opacity: .35; transform: scale(.98); }
+    60%  { opacity: .15; transform: scale(1.01); }
+    100% { opacity: 0;   transform: scale(1.03); }
+  }
+
+  .card:focus-visible {
+    outline: none;
+    box-shadow:
+      0 0 0 2px rgba(255,255,255,1),
+      0 0 0 4px rgba(99,102,241,.65);
+  }
+`;
+
+const LAYOUTS = {
+  // fixed 3:2 tiles (carousel slides)
+  grid: {
+    container: "grid grid-cols-1 sm:grid-cols-3 gap-4",
+    card: "flex flex-col active:cursor-grabbing",
+    actions: "px-3 py-2",
+  },
+  // natural-height tiles in CSS columns
+  masonry: {
+    container: "columns-1 sm:columns-2 lg:columns-3 xl:columns-4 gap-4 [column-fill:_balance]",
+    card: "mb-4 break-inside-avoid",
+    actions: "p-3",
+  },
+};
+
+/**
+ * Admin manager for one media collection: upload, replace, delete,
+ * reordering (pointer drag, keyboard or the Move menu) and framing, rendered
+ * as a tile grid or a masonry column layout. `cropVariants` (see lib/framing)
+ * are the crops offered per item, and `focalPoint={false}` drops the focal
+ * point for collections the site shows uncropped. `mobileVariant` lets each
+ * item carry a separate image for phones, and `scheduling` adds draft and
+ * publish / unpublish dates to every card.
+ *
+ * `tagging` adds the facet pickers of lib/tags used by the public filter bar.
+ * `bulk` turns on multi-select (checkboxes, Ctrl/⌘-click and Shift-click) with
+ * the BulkActionsBar; `moveTargets` are the collections selected items can be
+ * moved to, each with its own `max` if it has one.
+ */
+export default function MediaLibrary({
+  title,
+  collectionPath,
+  max,
+  layout = "masonry",
+  itemLabel = "Image",
+  cropVariants = [],
+  focalPoint = true,
+  mobileVariant = false,
+  scheduling = false,
+  tagging = false,
+  bulk = false,
+  moveTargets = [],
+}) {
+  const {
+    items,
+    busyIds,
+    overall,
+    uploadPct,
+    isUploading,
+    canAdd,
+    uploads,
+    orphans,
+    cleanOrphans,
+    orderNotice,
+    dismissOrderNotice,
+    upload,
+    replace,
+    remove,
+    removeMany,
+    undoRemove,
+    reorder,
+    moveTo,
+    moveBlock,
+    update,
+    updateMany,
+    moveToCollection,
+    reframe,
+    setMobile,
+    clearMobile,
+  } = useMediaLibrary(collectionPath, { max });
+  const { showToast } = useToast();
+  const [announcement, setAnnouncement] = useState("");
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const selectAnchorRef = useRef(null);
+  const [framingId, setFramingId] = useState(null);
+  const [backfilling, setBackfilling] = useState(false);
+  const [cleaningOrphans, setCleaningOrphans] = useState(false);
+  const uploadInputRef = useRef(null);
+  const replaceInputRefs = useRef({});
+  const sortHintId = useId();
+  const zip = useZipDownload();
+  const styles = LAYOUTS[layout] || LAYOUTS.masonry;
+  const framingItem = framingId ? items.find((it) => it.id === framingId) : null;
+
+  // brief coachmark when there are 2+ items
+  const [showCoach] = useAutoCoachmark(items.length >= 2, 2400);
+
+  const onPick = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    upload(files);
+  };
+
+  // Older uploads have no recorded dimensions; offer a one-off fix.
+  const missingDimensions = items.filter(needsDimensions).length;
+  const onBackfill = async () => {
+    setBackfilling(true);
+    try {
+      const { updated, failed } = await backfillDimensions(collectionPath);
+      showToast(
+        failed ? `Updated ${updated} images, ${failed} failed` : `Updated ${updated} images`,
+        failed ? "error" : "success"
+      );
+    } catch (err) {
+      console.error(err);
+      showToast("Backfill failed", "error");
+    } finally {
+      setBackfilling(false);
+    }
+  };
+
+  const onDownloadAll = async () => {
+    const name = safeFileName(title, "originals");
+    try {
+      const saved = await zip.start(originalsForZip(items, name), `${name}.zip`);
+      if (saved) showToast("Originals downloaded");
+    } catch (err) {
+      console.error(err);
+      showToast(err?.message || "Download failed", "error");
+    }
+  };
+
+  const onCleanOrphans = async () => {
+    setCleaningOrphans(true);
+    try {
+      await cleanOrphans();
+      showToast("Leftover files removed");
+    } catch (err) {
+      console.error(err);
+      showToast("Cleanup failed", "error");
+    } finally {
+      setCleaningOrphans(false);
+    }
+  };
+
+  const onRemove = async (item) => {
+    const trashId = await remove(item);
+    if (!trashId) return;
+    showToast("Moved to trash", "success", UNDO_MS, {
+      label: "Undo",
+      onClick: () => undoRemove(trashId),
+    });
+  };
+
+  /* ---------- multi-select ---------- */
+  const selectedItems = items.filter((x) => selectedIds.has(x.id));
+  const clearSelection = () => setSelectedIds(new Set());
+
+  const toggleSelected = (id) => {
+    selectAnchorRef.current = id;
+    setSelectedIds((s) => {
+      const n = new Set(s);
+      if (n.has(id)) n.delete(id);
+      else n.add(id);
+      return n;
+    });
+  };
+
+  // Shift-click: everything between the last toggled card and this one.
+  const selectRange = (id) => {
+    const ids = items.map((x) => x.id);
+    const from = ids.indexOf(selectAnchorRef.current);
+    const to = ids.indexOf(id);
+    if (from < 0) return toggleSelected(id);
+    const [a, b] = from < to ? [from, to] : [to, from];
+    setSelectedIds((s) => new Set([...s, ...ids.slice(a, b + 1)]));
+  };
+
+  const onCardClick = (e, item) => {
+    if (!bulk || !(e.shiftKey || e.ctrlKey || e.metaKey) || e.target.closest(CONTROLS)) return;
+    e.preventDefault();
+    if (e.shiftKey) selectRange(item.id);
+    else toggleSelected(item.id);
+  };
+
+  useEffect(() => {
+    if (!bulk) return;
+    const onKeyDown = (e) => {
+      if (e.key === "Escape" && !e.defaultPrevented) setSelectedIds(new Set());
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [bulk]);
+
+  const runBulk = async (fn) => {
+    setBulkBusy(true);
+    try {
+      return await fn();
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const onBulkDelete = () =>
+    runBulk(async () => {
+      const trashIds = await removeMany(selectedItems);
+      if (!trashIds) return;
+      clearSelection();
+      showToast(`Moved ${trashIds.length} to trash`, "success", UNDO_MS, {
+        label: "Undo",
+        onClick: () => undoRemove(trashIds),
+      });
+    });
+
+  const onBulkMoveBlock = (position) =>
+    runBulk(async () => {
+      await moveBlock(selectedItems.map((x) => x.id), position);
+      setAnnouncement(`${selectedItems.length} items moved to position ${position}.`);
+    });
+
+  const onBulkMoveTo = (target) => {
+    if (!target) return;
+    const n = selectedItems.length;
+    if (!confirm(`Move ${n} image${n === 1 ? "" : "s"} to ${target.label}?`)) return;
+    return runBulk(async () => {
+      if (!(await moveToCollection(selectedItems, target.collectionPath, { max: target.max }))) return;
+      clearSelection();
+      showToast(`Moved ${n} to ${target.label}`);
+    });
+  };
+
+  const saveBulk = (fields, message) =>
+    runBulk(async () => {
+      const ok = await updateMany(selectedItems, fields);
+      if (ok) showToast(message);
+      return ok;
+    });
+
+  /* ---------- reorder ---------- */
+  const labelOf = (item) => item.alt || `${itemLabel} ${item.index}`;
+  const announceMove = (item, position) =>
+    setAnnouncement(`${labelOf(item)} moved to position ${position} of ${items.length}.`);
+
+  const pointerSort = usePointerSort({
+    disabled: isUploading || bulkBusy,
+    onDrop: (id, overId) => {
+      const item = items.find((x) => x.id === id);
+      const position = items.findIndex((x) => x.id === overId) + 1;
+      if (item) announceMove(item, position);
+      reorder(id, overId);
+    },
+  });
+  const keyboardSort = useKeyboardSort({
+    items,
+    disabled: isUploading,
+    label: labelOf,
+    announce: setAnnouncement,
+    onMove: moveTo,
+  });
+  const shownItems = keyboardSort.preview(items);
+
+  const onMoveTo = (item, position) => {
+    announceMove(item, position);
+    moveTo(item.id, position);
+  };
+
+  return (
+    <div className="space-y-8">
+      <style>{CARD_STYLES}</style>
+
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold">{title}</h1>
+        <div className="flex items-center gap-3">
+          {missingDimensions > 0 && (
+            <Button
+              onClick={onBackfill}
+              loading={backfilling}
+              loadingText="Measuring…"
+              disabled={isUploading}
+              variant="outline"
+              title="Record width, height and aspect ratio for images uploaded before they were tracked"
+            >
+              Fill in sizes ({missingDimensions})
+            </Button>
+          )}
+          {zip.isZipping && (
+            <Button onClick={zip.cancel} variant="ghost">
+              Cancel
+            </Button>
+          )}
+          <Button
+            onClick={onDownloadAll}
+            loading={zip.isZipping}
+            loadingText={`Zipping ${zip.progress?.done ?? 0}/${zip.progress?.total ?? 0}…`}
+            disabled={!items.length}
+            variant="outline"
+            title="Download every original as a ZIP"
+          >
+            Download all
+          </Button>
+          <Button
+            onClick={() => uploadInputRef.current?.click()}
+            disabled={!canAdd}
+            variant={canAdd ? "default" : "outline"}
+          >
+            {canAdd ? "Upload" : "Full"}
+          </Button>
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            hidden
+            ref={uploadInputRef}
+            onChange={onPick}
+            disabled={!canAdd}
+          />
+        </div>
+      </div>
+
+      {orphans.length > 0 && (
+        <div className="flex items-center justify-between gap-3 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+          <span>
+            {orphans.length} interrupted upload{orphans.length === 1 ? "" : "s"} left files in
+            Storage without a {itemLabel.toLowerCase()}.
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            loading={cleaningOrphans}
+            loadingText="Cleaning…"
+            onClick={onCleanOrphans}
+          >
+            Clean up
+          </Button>
+        </div>
+      )}
+
+      {orderNotice && (
+        <div
+          role="status"
+          className="flex items-center justify-between gap-3 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800"
+        >
+          <span>{ORDER_NOTICES[orderNotice]}</span>
+          <Button variant="outline" size="sm" onClick={dismissOrderNotice}>
+            Dismiss
+          </Button>
+        </div>
+      )}
+
+      <UploadQueue
+        jobs={uploads.jobs}
+        summary={uploads.summary}
+        onCancel={uploads.cancel}
+        onRetry={uploads.retry}
+        onCancelAll={uploads.cancelAll}
+        onClear={uploads.clearFinished}
+      />
+
+      {/* Upload progress */}
+      {overall.totalBytes > 0 && (
+        <div className="w-full rounded-lg bg-gray-200 overflow-hidden">
+          <div
+            className="h-2 bg-indigo-600 transition-[width] duration-200"
+            style={{ width: `${uploadPct}%` }}
+          />
+        </div>
+      )}
+
+      {/* While uploading & empty */}
+      {isUploading && items.length === 0 && (
+        <div className="rounded-xl border p-6 text-center bg-white text-gray-700">
+          <div className="flex items-center justify-center gap-3">
+            <svg className="animate-spin" width="22" height="22" viewBox="0 0 24 24" fill="none">
+              <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="3" opacity="0.2" />
+              <path d="M22 12a10 10 0 0 1-10 10" stroke="currentColor" strokeWidth="3" />
+            </svg>
+            <span>Uploading…</span>
+          </div>
+        </div>
+      )}
+
+      {/* brief hover/auto coachmark */}
+      <Coachmark show={showCoach}>
+        Drag any card (or its handle on touch screens) to rearrange
+      </Coachmark>
+
+      {/* screen-reader instructions and reorder announcements */}
+      <p id={sortHintId} className="sr-only">
+        Press Space to pick up a card, use the arrow keys to move it and Space again to drop it.
+      </p>
+      <p className="sr-only" role="status" aria-live="assertive">
+        {announcement}
+      </p>
+
+      {bulk && selectedItems.length > 0 && (
+        <BulkActionsBar
+          count={selectedItems.length}
+          total={items.length}
+          busy={bulkBusy}
+          scheduling={scheduling}
+          moveTargets={moveTargets}
+          onSelectAll={() => setSelectedIds(new Set(items.map((x) => x.id)))}
+          onClear={clearSelection}
+          onDelete={onBulkDelete}
+          onMoveBlock={onBulkMoveBlock}
+          onMoveTo={onBulkMoveTo}
+          onSetAlt={(alt) => saveBulk({ alt }, "Alt text updated")}
+          onTags={(tags, mode) => {
+            const remove = mode === "remove";
+            // a facet tag replaces the item's option for that facet, as in the card's picker
+            const fields =
+              remove || !tags.some((t) => splitFacetTag(t))
+                ? tagFields(tags, { remove })
+                : (item) => ({ tags: withTags(item.tags, tags) });
+            return saveBulk(fields, remove ? "Tags removed" : "Tags added");
+          }}
+          onPublish={(publish) =>
+            saveBulk(visibilityFields(publish), publish ? "Published" : "Moved to drafts")
+          }
+        />
+      )}
+
+      {/* Grid */}
+      {items.length > 0 && (
+        <div className={`${styles.container} ${pointerSort.drag ? "select-none" : ""}`}>
+          <AnimatePresence initial={false}>
+            {shownItems.map((it) => {
+              const itemBusy = busyIds.has(it.id) || isUploading;
+              const alt = labelOf(it);
+              const warning = it.alt ? null : "No alt text";
+              const dragged = pointerSort.drag?.id === it.id;
+              const lifted = dragged || keyboardSort.liftedId === it.id;
+              const dropTarget = !dragged && pointerSort.drag?.overId === it.id;
+              const selected = selectedIds.has(it.id);
+              // facet tags have their own pickers
+              const freeTags = (it.tags || []).filter((t) => !tagging || !splitFacetTag(t));
+              return (
+                <MotionDiv
+                  key={it.id}
+                  layout
+                  initial={{ opacity: 0.6, scale: 0.98 }}
+                  animate={{ opacity: dragged ? 0.6 : 1, scale: 1 }}
+                  exit={{ opacity: 0 }}
+                  transition={{ type: "spring", stiffness: 300, damping: 30 }}
+                  className={`card ${styles.card} rounded-xl border bg-white overflow-hidden cursor-grab ${
+                    lifted
+                      ? "outline-2 outline-offset-2 outline-indigo-600"
+                      : dropTarget || selected
+                        ? "outline-2 outline-offset-2 outline-indigo-300"
+                        : ""
+                  }`}
+                  tabIndex={0}
+                  aria-roledescription="sortable card"
+                  aria-label={`${alt}, position ${it.index} of ${items.length}`}
+                  aria-describedby={sortHintId}
+                  {...pointerSort.handleProps(it.id)}
+                  onKeyDown={(e) => e.target === e.currentTarget && keyboardSort.onKeyDown(e, it)}
+                  onClick={(e) => onCardClick(e, it)}
+                  // keep Shift-click from selecting the text between cards
+                  onMouseDown={(e) => bulk && e.shiftKey && e.preventDefault()}
+                  title={isUploading ? "" : "Drag to reorder"}
+                >
+                  {/* spotlight & press overlays */}
+                  <span className="spotlight" aria-hidden="true" />
+                  <span className="press" aria-hidden="true" />
+
+                  {layout === "grid" ? (
+                    <div className="aspect-[3/2] overflow-hidden relative media">
+                      <MediaAnimatedImage
+                        src={it.optimizedURL}
+                        alt={alt}
+                        badgeContent={`#${it.index}`}
+                        warning={warning}
+                        fill
+                        position={objectPosition(it.framing, cropVariants[0]?.key)}
+                        containerClassName="w-full h-full"
+                      />
+                    </div>
+                  ) : (
+                    <MediaAnimatedImage
+                      src={it.optimizedURL}
+                      alt={alt}
+                      badgeContent={`#${it.index}`}
+                      warning={warning}
+                      containerClassName="media"
+                    />
+                  )}
+
+                  {it.exif && (
+                    <p
+                      className="truncate px-3 pt-2 text-xs text-gray-500"
+                      title={it.exif.capturedAt ? `Taken ${it.exif.capturedAt.replace("T", " ")}` : undefined}
+                    >
+                      {formatExif(it.exif) || it.fileName}
+                    </p>
+                  )}
+
+                  {mobileVariant && (
+                    <MobileVariantRow
+                      item={it}
+                      disabled={itemBusy}
+                      onPick={(f) => setMobile(it, f)}
+                      onRemove={() => clearMobile(it)}
+                    />
+                  )}
+
+                  {freeTags.length > 0 && (
+                    <div className="flex flex-wrap gap-1 px-3 pt-2">
+                      {freeTags.map((tag) => (
+                        <span
+                          key={tag}
+                          className="rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-600"
+                        >
+                          {tagLabel(tag)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
+                  <MediaDetailsEditor
+                    item={it}
+                    disabled={busyIds.has(it.id)}
+                    onSave={(fields) => update(it, fields)}
+                  />
+
+                  {tagging && (
+                    <MediaTagsEditor
+                      item={it}
+                      disabled={busyIds.has(it.id)}
+                      onSave={(fields) => update(it, fields)}
+                    />
+                  )}
+
+                  {scheduling && (
+                    <PublishScheduleEditor
+                      item={it}
+                      disabled={busyIds.has(it.id)}
+                      onSave={(fields) => update(it, fields)}
+                    />
+                  )}
+
+                  <div className={`${styles.actions} flex items-center justify-end gap-2 text-sm`}>
+                    {bulk && (
+                      <input
+                        type="checkbox"
+                        checked={selected}
+                        onChange={() => toggleSelected(it.id)}
+                        aria-label={`Select ${alt}`}
+                        title="Select (Ctrl/⌘-click or Shift-click a card)"
+                        className="size-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-600"
+                      />
+                    )}
+                    <button
+                      type="button"
+                      data-sort-handle
+                      disabled={isUploading || bulkBusy}
+                      onKeyDown={(e) => keyboardSort.onKeyDown(e, it)}
+                      aria-label={`Reorder ${alt}`}
+                      aria-describedby={sortHintId}
+                      className="touch-none cursor-grab rounded-md p-1.5 text-gray-500 hover:bg-gray-100 hover:text-gray-700 disabled:opacity-40"
+                      title="Drag, or press Space and use the arrow keys, to reorder"
+                    >
+                      <Bars2Icon className="size-4" aria-hidden="true" />
+                    </button>
+                    <MoveMenu
+                      position={it.index}
+                      count={items.length}
+                      disabled={isUploading}
+                      onMove={(position) => onMoveTo(it, position)}
+                    />
+                    <span className="flex-1" />
+
+                    <Button
+                      onClick={() => setFramingId(it.id)}
+                      disabled={itemBusy}
+                      variant="outline"
+                      size="sm"
+                      title={
+                        focalPoint || cropVariants.length
+                          ? "Crop, rotate and set the focal point"
+                          : "Rotate"
+                      }
+                    >
+                      {focalPoint || cropVariants.length ? "Frame" : "Rotate"}
+                    </Button>
+
+                    <Button
+                      onClick={() => replaceInputRefs.current[it.id]?.click()}
+                      disabled={itemBusy}
+                      loading={busyIds.has(it.id)}
+                      loadingText="Working…"
+                      variant="secondary"
+                      size="sm"
+                    >
+                      Replace
+                    </Button>
+
+                    <input
+                      type="file"
+                      accept="image/*"
+                      hidden
+                      ref={(el) => (replaceInputRefs.current[it.id] = el)}
+                      onChange={(e) => {
+                        const f = e.target.files?.[0];
+                        e.target.value = "";
+                        if (f) replace(it, f);
+                      }}
+                    />
+
+                    <Button
+                      onClick={() => onRemove(it)}
+                      disabled={itemBusy}
+                      loading={busyIds.has(it.id)}
+                      loadingText="Deleting…"
+                      variant="destructive"
+                      size="sm"
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                </MotionDiv>
+              );
+            })}
+          </AnimatePresence>
+        </div>
+      )}
+
+      {framingItem && (
+        <ImageFramingEditor
+          key={framingItem.id}
+          item={framingItem}
+          variants={cropVariants}
+          focalPoint={focalPoint}
+          open
+          onClose={() => setFramingId(null)}
+          onSave={(changes) => reframe(framingItem, changes)}
+        />
+      )}
+    </div>
+  );
+}
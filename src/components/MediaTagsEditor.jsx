@@ -0,0 +1,93 @@
+import { useId, useState } from "react";
+import { facetOption, TAG_FACETS, withFacetOption } from "../lib/tags";
+
+const fieldInput =
+  "mt-1 block w-full rounded-md border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:ring-2 focus:ring-indigo-600";
+
+/* ---------- City (free text, checked against the facet's options) ---------- */
+function CityInput({ facet, value, disabled, onChange }) {
+  const [draft, setDraft] = useState(value);
+  const [focused, setFocused] = useState(false);
+  const listId = useId();
+
+  const commit = () => {
+    setFocused(false);
+    const text = draft.trim().toLowerCase();
+    const option = text ? facet.options.find((o) => o.toLowerCase() === text) : "";
+    if (option === undefined) {
+      setDraft(value);
+      return;
+    }
+    setDraft(option);
+    if (option !== value) onChange(option);
+  };
+
+  return (
+    <>
+      <input
+        type="text"
+        value={draft}
+        list={listId}
+        placeholder="None"
+        disabled={disabled}
+        onFocus={() => setFocused(true)}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+        className={fieldInput}
+      />
+      {/* only while typing: a card grid would otherwise carry one long list per card */}
+      {focused && (
+        <datalist id={listId}>
+          {facet.options.map((o) => (
+            <option key={o} value={o} />
+          ))}
+        </datalist>
+      )}
+    </>
+  );
+}
+
+/**
+ * One picker per tag facet (see lib/tags) for an admin media card. Free-form
+ * tags on the item are kept. Every change is saved right away through
+ * `onSave({ tags })`.
+ */
+export default function MediaTagsEditor({ item, disabled = false, onSave }) {
+  const tags = item.tags || [];
+  const change = (facetKey, option) => onSave({ tags: withFacetOption(tags, facetKey, option) });
+
+  return (
+    <div className="grid grid-cols-2 gap-2 px-3 pt-3 text-sm">
+      {TAG_FACETS.map((facet) => (
+        <label key={facet.key} className="block">
+          <span className="block text-xs font-medium text-gray-600">{facet.label}</span>
+          {facet.key === "city" ? (
+            <CityInput
+              // a saved change (here, in bulk or by another admin) resets the draft
+              key={facetOption(tags, facet.key)}
+              facet={facet}
+              value={facetOption(tags, facet.key)}
+              disabled={disabled}
+              onChange={(option) => change(facet.key, option)}
+            />
+          ) : (
+            <select
+              value={facetOption(tags, facet.key)}
+              disabled={disabled}
+              onChange={(e) => change(facet.key, e.target.value)}
+              className={fieldInput}
+            >
+              <option value="">None</option>
+              {facet.options.map((o) => (
+                <option key={o} value={o}>
+                  {o}
+                </option>
+              ))}
+            </select>
+          )}
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+/**
+ * <picture> with type-based <source> entries in front of a JPEG <img>.
+ * `sources` comes from buildSources() or buildArtDirectedSources() in
+ * lib/responsiveImage, so an entry may also carry a `media` query; every other
+ * prop is passed to the <img>. The <picture> itself renders as `contents`
+ * by default so existing <img> layout classes keep working.
+ */
+export default function Picture({ sources = [], sizes, pictureClassName = "contents", ...imgProps }) {
+  return (
+    <picture className={pictureClassName}>
+      {sources.map((s) => (
+        <source
+          key={`${s.media || ""}${s.type}`}
+          media={s.media}
+          type={s.type}
+          srcSet={s.srcSet}
+          sizes={sizes}
+        />
+      ))}
+      <img sizes={sizes} {...imgProps} />
+    </picture>
+  );
+}
@@ -0,0 +1,69 @@
+import { PUBLISH_STATES, publishState, scheduleFields, scheduleYmd } from "../lib/publishing";
+
+const dateInput =
+  "mt-1 block w-full rounded-md border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:ring-2 focus:ring-indigo-600";
+
+/**
+ * Draft toggle and publish / unpublish dates for an admin media card.
+ * Every change is saved right away through `onSave(changedFields)`.
+ */
+export default function PublishScheduleEditor({ item, disabled = false, onSave }) {
+  const state = PUBLISH_STATES[publishState(item)];
+  const publishOn = scheduleYmd(item.publishAt);
+  const unpublishOn = scheduleYmd(item.unpublishAt);
+
+  const changeDates = (next) => {
+    const dates = { publishOn, unpublishOn, ...next };
+    if (dates.publishOn && dates.unpublishOn && dates.unpublishOn < dates.publishOn) {
+      alert("The unpublish date must be on or after the publish date.");
+      return;
+    }
+    onSave(scheduleFields(dates));
+  };
+
+  return (
+    <div className="space-y-2 px-3 pt-3 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <span
+          className={`inline-flex items-center rounded-full px-1.5 py-0.5 text-xs font-medium ${state.className}`}
+        >
+          {state.label}
+        </span>
+        <label className="inline-flex items-center gap-2 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={Boolean(item.draft)}
+            disabled={disabled}
+            onChange={(e) => onSave({ draft: e.target.checked })}
+            className="size-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-600"
+          />
+          Draft (admin only)
+        </label>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600">Publish on</span>
+          <input
+            type="date"
+            value={publishOn}
+            max={unpublishOn || undefined}
+            disabled={disabled}
+            onChange={(e) => changeDates({ publishOn: e.target.value })}
+            className={dateInput}
+          />
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600">Unpublish after</span>
+          <input
+            type="date"
+            value={unpublishOn}
+            min={publishOn || undefined}
+            disabled={disabled}
+            onChange={(e) => changeDates({ unpublishOn: e.target.value })}
+            className={dateInput}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import { XMarkIcon } from "@heroicons/react/20/solid";
+import { tagLabel } from "../lib/tags";
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(" ");
+}
+
+/**
+ * Chips for the public gallery's facet filters. `facets` comes from
+ * usedFacets() in lib/tags, `selected` is the set of active facet tags.
+ */
+export default function TagFilterBar({ facets, selected, onToggle, onClear, resultCount }) {
+  if (!facets.length) return null;
+  return (
+    <div className="mb-6 space-y-3" role="group" aria-label="Filter photos">
+      {facets.map(({ facet, tags }) => (
+        <div key={facet.key} className="flex flex-wrap items-center gap-2">
+          <span className="w-16 shrink-0 text-xs font-medium uppercase tracking-wide text-gray-500">
+            {facet.label}
+          </span>
+          {tags.map((tag) => {
+            const on = selected.has(tag);
+            return (
+              <button
+                key={tag}
+                type="button"
+                aria-pressed={on}
+                onClick={() => onToggle(tag)}
+                className={classNames(
+                  "rounded-full px-3 py-1 text-sm ring-1 ring-inset transition-colors",
+                  on
+                    ? "bg-gray-900 text-white ring-gray-900"
+                    : "bg-white text-gray-700 ring-gray-300 hover:bg-gray-50"
+                )}
+              >
+                {tagLabel(tag)}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+      {selected.size > 0 && (
+        <div className="flex items-center gap-3 text-sm text-gray-600">
+          <span aria-live="polite">
+            {resultCount} photo{resultCount === 1 ? "" : "s"}
+          </span>
+          <button
+            type="button"
+            onClick={onClear}
+            className="inline-flex items-center gap-1 text-gray-700 underline-offset-2 hover:underline"
+          >
+            <XMarkIcon className="size-4" aria-hidden="true" />
+            Clear filters
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { motion } from "framer-motion";
 
-export default function Toast({ message, type = "success" }) {
+export default function Toast({ message, type = "success", actionLabel, onAction }) {
   if (!message) return null;
   return (
     <motion.div
@@ -12,6 +12,15 @@ export default function Toast({ message, type = "success" }) {
       }`}
     >
       {message}
+      {onAction && (
+        <button
+          type="button"
+          onClick={onAction}
+          className="ml-3 rounded px-1.5 py-0.5 font-semibold underline underline-offset-2 hover:bg-white/15 focus:outline-none focus-visible:ring-2 focus-visible:ring-white"
+        >
+          {actionLabel}
+        </button>
+      )}
     </motion.div>
   );
 }
\ No newline at end of file
@@ -8,19 +8,34 @@ export function ToastProvider({ children }) {
   const [toast, setToast] = useState(null);
   const timerRef = useRef(null);
 
-  const showToast = useCallback((message, type = "success", duration = 3000) => {
-    setToast({ message, type });
+  // `action` ({ label, onClick }) adds a button, e.g. "Undo"; using it closes the toast
+  const showToast = useCallback((message, type = "success", duration = 3000, action) => {
+    setToast({ message, type, action });
     if (timerRef.current) clearTimeout(timerRef.current);
     timerRef.current = setTimeout(() => setToast(null), duration);
   }, []);
 
+  const runAction = () => {
+    if (timerRef.current) clearTimeout(timerRef.current);
+    const { action } = toast;
+    setToast(null);
+    action.onClick();
+  };
+
   useEffect(() => () => timerRef.current && clearTimeout(timerRef.current), []);
 
   return (
     <ToastCtx.Provider value={{ showToast }}>
       {children}
       <AnimatePresence>
-        {toast && <Toast message={toast.message} type={toast.type} />}
+        {toast && (
+          <Toast
+            message={toast.message}
+            type={toast.type}
+            actionLabel={toast.action?.label}
+            onAction={toast.action ? runAction : undefined}
+          />
+        )}
       </AnimatePresence>
     </ToastCtx.Provider>
   );
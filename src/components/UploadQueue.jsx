@@ -0,0 +1,131 @@
+import { ArrowPathIcon, XMarkIcon } from "@heroicons/react/20/solid";
+import Button from "./Button";
+import { formatBytes } from "../lib/format";
+import { isPendingJob, MAX_ATTEMPTS } from "../lib/uploadQueue";
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(" ");
+}
+
+function statusLabel(job) {
+  switch (job.status) {
+    case "queued":
+      return "Waiting";
+    case "running":
+      return job.totalBytes
+        ? `Uploading${job.attempt > 1 ? ` (try ${job.attempt}/${MAX_ATTEMPTS})` : ""}`
+        : "Preparing";
+    case "retrying":
+      return "Retrying soon";
+    case "done":
+      return "Uploaded";
+    case "cancelled":
+      return "Cancelled";
+    default:
+      return job.error || "Failed";
+  }
+}
+
+const STATUS_COLORS = {
+  done: "text-green-700",
+  failed: "text-rose-600",
+  cancelled: "text-gray-500",
+};
+
+/** Per-file rows of the admin upload queue with cancel / retry controls. */
+export default function UploadQueue({ jobs, summary, onCancel, onRetry, onCancelAll, onClear }) {
+  if (!jobs.length) return null;
+
+  const finished = summary.total - summary.pending;
+  const parts = [
+    summary.done && `${summary.done} uploaded`,
+    summary.failed && `${summary.failed} failed`,
+    summary.cancelled && `${summary.cancelled} cancelled`,
+  ].filter(Boolean);
+
+  return (
+    <section className="rounded-xl border border-gray-200 bg-white shadow-sm" aria-label="Upload queue">
+      <div className="flex items-center justify-between gap-3 border-b border-gray-100 px-4 py-3">
+        <p className="text-sm text-gray-700" aria-live="polite">
+          {summary.pending
+            ? `Uploading… ${finished} of ${summary.total} finished`
+            : "Uploads finished"}
+          {parts.length > 0 && <span className="text-gray-500"> · {parts.join(" · ")}</span>}
+        </p>
+        <div className="flex items-center gap-2">
+          {summary.pending > 0 && (
+            <Button variant="ghost" size="sm" onClick={onCancelAll}>
+              Cancel all
+            </Button>
+          )}
+          {finished > 0 && (
+            <Button variant="secondary" size="sm" onClick={onClear}>
+              Clear finished
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <ul className="max-h-72 divide-y divide-gray-100 overflow-y-auto">
+        {jobs.map((job) => {
+          const pct = job.totalBytes
+            ? Math.min(100, Math.round((job.transferred / job.totalBytes) * 100))
+            : 0;
+          const pending = isPendingJob(job);
+          return (
+            <li key={job.id} className="flex items-center gap-3 px-4 py-2 text-sm">
+              <div className="min-w-0 flex-1">
+                <div className="flex items-baseline justify-between gap-2">
+                  <span className="truncate text-gray-900">{job.name}</span>
+                  <span className="shrink-0 text-xs text-gray-500">{formatBytes(job.size)}</span>
+                </div>
+                <div className="mt-1 flex items-center gap-2">
+                  <div className="h-1.5 flex-1 overflow-hidden rounded bg-gray-200">
+                    <div
+                      className={classNames(
+                        "h-full transition-[width] duration-200",
+                        job.status === "failed" ? "bg-rose-500" : "bg-indigo-600"
+                      )}
+                      style={{ width: `${job.status === "done" ? 100 : pct}%` }}
+                    />
+                  </div>
+                  <span
+                    className={classNames(
+                      "w-40 shrink-0 truncate text-right text-xs",
+                      STATUS_COLORS[job.status] || "text-gray-600"
+                    )}
+                    title={job.error || undefined}
+                  >
+                    {statusLabel(job)}
+                  </span>
+                </div>
+              </div>
+
+              {pending ? (
+                <button
+                  type="button"
+                  onClick={() => onCancel(job.id)}
+                  className="rounded p-1 text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                >
+                  <span className="sr-only">Cancel {job.name}</span>
+                  <XMarkIcon className="size-4" aria-hidden="true" />
+                </button>
+              ) : job.status !== "done" ? (
+                <button
+                  type="button"
+                  onClick={() => onRetry(job.id)}
+                  className="rounded p-1 text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                >
+                  <span className="sr-only">Retry {job.name}</span>
+                  <ArrowPathIcon className="size-4" aria-hidden="true" />
+                </button>
+              ) : (
+                <span className="w-6" aria-hidden="true" />
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
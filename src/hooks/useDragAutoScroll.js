@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useMemo, useRef } from "react";
+
+/* ----------------- drag edge auto-scroll -------------- */
+const EDGE_PX = 96;
+const MIN_SPEED = 6;
+const MAX_SPEED = 28;
+
+function calcSpeed(y, vh) {
+  if (y < EDGE_PX) {
+    const t = (EDGE_PX - y) / EDGE_PX;
+    return -Math.max(MIN_SPEED, t * MAX_SPEED);
+  }
+  if (y > vh - EDGE_PX) {
+    const t = (y - (vh - EDGE_PX)) / EDGE_PX;
+    return Math.max(MIN_SPEED, t * MAX_SPEED);
+  }
+  return 0;
+}
+
+/**
+ * Scrolls the window while a dragged card is held near the top or bottom
+ * edge of the viewport. Call `start()` when a drag begins, `track(clientY)`
+ * as the pointer moves and `stop()` when the drag ends.
+ */
+export function useDragAutoScroll() {
+  const state = useRef({ active: false, y: 0, raf: 0 });
+
+  const tick = useCallback(() => {
+    const s = state.current;
+    if (!s.active) return;
+    const speed = calcSpeed(s.y, window.innerHeight);
+    if (speed) window.scrollBy(0, speed);
+    s.raf = requestAnimationFrame(tick);
+  }, []);
+
+  const start = useCallback(() => {
+    const s = state.current;
+    if (s.active) return;
+    s.active = true;
+    s.y = window.innerHeight / 2;
+    s.raf = requestAnimationFrame(tick);
+  }, [tick]);
+
+  const track = useCallback((clientY) => {
+    // Some browsers report 0 for the final move event; ignore it.
+    if (clientY) state.current.y = clientY;
+  }, []);
+
+  const stop = useCallback(() => {
+    const s = state.current;
+    s.active = false;
+    cancelAnimationFrame(s.raf);
+  }, []);
+
+  useEffect(() => stop, [stop]);
+
+  // stable, so effects that depend on it don't resubscribe on every render
+  return useMemo(() => ({ start, track, stop }), [start, track, stop]);
+}
@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from "react";
+import { publishHome, subscribeReleaseStatus } from "../lib/homeRelease";
+
+/**
+ * Live draft-vs-release status of the home page collections and the action
+ * that publishes them. `status` is null until the first snapshot arrives.
+ */
+export function useHomeRelease() {
+  const [status, setStatus] = useState(null);
+  const [publishing, setPublishing] = useState(false);
+
+  useEffect(
+    () =>
+      subscribeReleaseStatus(setStatus, (err) =>
+        console.error("Failed to compare draft and release:", err)
+      ),
+    []
+  );
+
+  const publish = useCallback(async () => {
+    setPublishing(true);
+    try {
+      return await publishHome();
+    } finally {
+      setPublishing(false);
+    }
+  }, []);
+
+  const neverPublished = status
+    ? Object.values(status.collections).some((c) => !c.published)
+    : false;
+
+  return {
+    status,
+    publishing,
+    publish,
+    canPublish: Boolean(status) && (status.changeCount > 0 || neverPublished),
+  };
+}
@@ -0,0 +1,83 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { moveItemTo } from "../lib/mediaLibrary";
+
+const STEPS = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 };
+const isPick = (key) => key === " " || key === "Enter";
+
+/**
+ * Keyboard reordering: Space or Enter picks an item up, the arrow keys (and
+ * Home / End) move it, Space or Enter drops it and Escape puts it back.
+ *
+ * While an item is held, `preview(items)` shows it at its new position;
+ * `onMove(id, position)` (1-based) saves the drop. Every step is passed to
+ * `announce(message)` for a live region, naming items with `label(item)`.
+ * Reordering moves DOM nodes, so focus is put back on the key's element.
+ */
+export function useKeyboardSort({ items, onMove, announce, label, disabled = false }) {
+  const [lifted, setLifted] = useState(null); // { id, from, to }
+  const focusRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const el = focusRef.current;
+    const lost = !document.activeElement || document.activeElement === document.body;
+    if (el?.isConnected && lost) el.focus();
+  });
+
+  // a click anywhere ends keyboard mode
+  useEffect(() => {
+    const onPointerDown = () => {
+      focusRef.current = null;
+      setLifted(null);
+    };
+    window.addEventListener("pointerdown", onPointerDown);
+    return () => window.removeEventListener("pointerdown", onPointerDown);
+  }, []);
+
+  const onKeyDown = (e, item) => {
+    if (disabled) return;
+    const count = items.length;
+    const name = label(items.find((x) => x.id === item.id) ?? item);
+
+    if (lifted?.id !== item.id) {
+      if (!isPick(e.key)) return;
+      e.preventDefault();
+      const from = items.findIndex((x) => x.id === item.id) + 1;
+      focusRef.current = e.currentTarget;
+      setLifted({ id: item.id, from, to: from });
+      announce(
+        `Picked up ${name}, position ${from} of ${count}. ` +
+          "Use the arrow keys to move it, Space to drop it, or Escape to cancel."
+      );
+      return;
+    }
+
+    let to = lifted.to;
+    if (e.key in STEPS) to += STEPS[e.key];
+    else if (e.key === "Home") to = 1;
+    else if (e.key === "End") to = count;
+    else if (isPick(e.key)) {
+      e.preventDefault();
+      setLifted(null);
+      onMove(item.id, lifted.to);
+      announce(`Dropped ${name} at position ${lifted.to} of ${count}.`);
+      return;
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      setLifted(null);
+      announce(`Move cancelled. ${name} is back at position ${lifted.from} of ${count}.`);
+      return;
+    } else return;
+
+    e.preventDefault();
+    to = Math.min(Math.max(1, to), count);
+    if (to === lifted.to) return;
+    setLifted({ ...lifted, to });
+    announce(`${name}, position ${to} of ${count}.`);
+  };
+
+  return {
+    liftedId: lifted?.id ?? null,
+    preview: (list) => (lifted ? moveItemTo(list, lifted.id, lifted.to) : list),
+    onKeyDown,
+  };
+}
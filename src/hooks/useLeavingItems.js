@@ -0,0 +1,40 @@
+import { useEffect, useMemo, useState } from "react";
+
+/**
+ * `items` plus the ones that just dropped out of it, marked `leaving: true`
+ * at their old position for `duration` ms so they can animate out instead of
+ * vanishing. An item that comes back in the meantime simply stays.
+ */
+export function useLeavingItems(items, { duration = 300 } = {}) {
+  const [prev, setPrev] = useState(items);
+  const [leaving, setLeaving] = useState([]);
+
+  // Adjusted while rendering, so a removed item never skips a frame.
+  if (prev !== items) {
+    const ids = new Set(items.map((it) => it.id));
+    const gone = prev
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => !ids.has(item.id));
+    setPrev(items);
+    setLeaving((current) => [...current.filter(({ item }) => !ids.has(item.id)), ...gone]);
+  }
+
+  useEffect(() => {
+    if (!leaving.length) return;
+    const timer = setTimeout(() => setLeaving([]), duration);
+    return () => clearTimeout(timer);
+  }, [leaving, duration]);
+
+  return useMemo(() => {
+    if (!leaving.length) return items;
+    const ids = new Set(items.map((it) => it.id));
+    const merged = [...items];
+    [...leaving]
+      .filter(({ item }) => !ids.has(item.id))
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ item, index }) => {
+        merged.splice(Math.min(index, merged.length), 0, { ...item, leaving: true });
+      });
+    return merged;
+  }, [items, leaving]);
+}
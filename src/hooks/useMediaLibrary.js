@@ -0,0 +1,453 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  countMediaItems,
+  createMediaItem,
+  deleteFiles,
+  deleteFolder,
+  findOrphanFolders,
+  makeMediaId,
+  moveBlockTo,
+  moveItem,
+  moveItemTo,
+  moveMediaItems,
+  removeMobileVariant,
+  reorderMediaItems,
+  replaceMediaItem,
+  rotateMediaItem,
+  sameOrder,
+  setMobileVariant,
+  subscribeMedia,
+  updateMediaItem,
+  updateMediaItems,
+} from "../lib/mediaLibrary";
+import {
+  listPendingUploads,
+  removePendingUpload,
+  savePendingUpload,
+} from "../lib/pendingUploads";
+import { getReleasedFilePaths, getReleasedIds } from "../lib/homeRelease";
+import { restoreTrashId, trashedDocs, trashMediaItem, trashMediaItems } from "../lib/trash";
+import { isPendingJob, summarizeJobs } from "../lib/uploadQueue";
+import { useUploadQueue } from "./useUploadQueue";
+
+const IDLE = { totalBytes: 0, transferred: 0, active: 0 };
+
+// Queued uploads are kept in IndexedDB until they finish or are cancelled.
+const persistUploads = {
+  save: (job) =>
+    savePendingUpload({
+      id: job.id,
+      collectionPath: job.collectionPath,
+      mediaId: job.mediaId,
+      index: job.index,
+      file: job.file,
+    }),
+  remove: (job) => removePendingUpload(job.id),
+};
+
+/**
+ * React state around a media collection: realtime items, the upload queue,
+ * replace progress, per-item busy flags and the upload / replace / delete /
+ * reorder / move-to / update / reframe actions, plus the optional mobile variant
+ * and the bulk versions used by multi-select (removeMany, moveBlock,
+ * updateMany, moveToCollection).
+ * Deleting moves an item to the trash (lib/trash); `undoRemove` brings it back.
+ *
+ * Uploads left pending by a reload are restarted when the collection opens,
+ * and Storage folders that never got a document are reported as `orphans`.
+ *
+ * Reorders run as transactions (see reorderMediaItems). `orderNotice` is
+ * "conflict" when a move had to be merged with someone else's, and "remote"
+ * when another tab or admin reordered the collection meanwhile.
+ */
+export function useMediaLibrary(collectionPath, { max } = {}) {
+  const [items, setItems] = useState([]);
+  const [busyIds, setBusyIds] = useState(new Set());
+  const [overall, setOverall] = useState(IDLE);
+  const [orphans, setOrphans] = useState([]);
+  const [orderNotice, setOrderNotice] = useState(null);
+  const itemsRef = useRef(items);
+
+  useEffect(() => {
+    itemsRef.current = items;
+  }, [items]);
+
+  useEffect(() => {
+    let lastOrder = null;
+    const onItems = (next, { hasPendingWrites }) => {
+      const order = next.map((x) => x.id);
+      // a confirmed order that is neither the last one seen nor the one shown
+      // here came from someone else
+      const moved = lastOrder && !hasPendingWrites && !sameOrder(lastOrder, order);
+      if (moved && !sameOrder(itemsRef.current.map((x) => x.id), order)) setOrderNotice("remote");
+      lastOrder = order;
+      setItems(next);
+    };
+    const unsub = subscribeMedia(collectionPath, { max }, onItems, (err) =>
+      console.error(`Failed to load ${collectionPath}:`, err)
+    );
+    return () => unsub();
+  }, [collectionPath, max]);
+
+  const onProgress = useCallback((e) => {
+    if (e.type === "start") {
+      setOverall((s) => ({
+        totalBytes: s.totalBytes + e.totalBytes,
+        transferred: s.transferred,
+        active: s.active + 1,
+      }));
+    } else if (e.type === "progress") {
+      setOverall((s) => ({ ...s, transferred: s.transferred + e.delta }));
+    } else if (e.type === "done") {
+      setOverall((s) => {
+        const nextActive = Math.max(0, s.active - 1);
+        const doneAll = nextActive === 0 && s.transferred >= s.totalBytes;
+        return doneAll ? IDLE : { ...s, active: nextActive };
+      });
+    }
+  }, []);
+
+  const markBusy = (id, on) =>
+    setBusyIds((s) => {
+      const n = new Set(s);
+      if (on) n.add(id);
+      else n.delete(id);
+      return n;
+    });
+
+  const queue = useUploadQueue(
+    (job, { signal, onProgress: onJobProgress }) =>
+      createMediaItem({
+        collectionPath: job.collectionPath,
+        id: job.mediaId,
+        file: job.file,
+        index: job.index,
+        onProgress: onJobProgress,
+        signal,
+      }),
+    { persist: persistUploads }
+  );
+  const { add: addUploads, retryFailed } = queue;
+  const jobs = useMemo(
+    () => queue.jobs.filter((j) => j.collectionPath === collectionPath),
+    [queue.jobs, collectionPath]
+  );
+  const pendingJobs = jobs.filter(isPendingJob);
+
+  // Restart uploads persisted by an earlier visit, then look for leftovers.
+  useEffect(() => {
+    let active = true;
+    (async () => {
+      const records = await listPendingUploads(collectionPath).catch((err) => {
+        console.error("Failed to read pending uploads:", err);
+        return [];
+      });
+      if (!active) return;
+      addUploads(records.map((r) => ({ ...r, restored: true })));
+      // folders of deleted items stay until the deletion is published, and
+      // trashed items keep theirs until purged so a restore still has its files
+      const [released, trashed] = await Promise.all([
+        getReleasedIds(collectionPath),
+        trashedDocs(collectionPath),
+      ]);
+      const found = await findOrphanFolders(collectionPath, {
+        keep: [...records.map((r) => r.mediaId), ...released, ...trashed.keys()],
+      });
+      if (active) setOrphans(found);
+    })().catch((err) => console.error(`Orphan scan of ${collectionPath} failed:`, err));
+    return () => {
+      active = false;
+    };
+  }, [collectionPath, addUploads]);
+
+  // Uploads that gave up while offline get another go once we're back.
+  useEffect(() => {
+    window.addEventListener("online", retryFailed);
+    return () => window.removeEventListener("online", retryFailed);
+  }, [retryFailed]);
+
+  const cleanOrphans = async () => {
+    await Promise.all(orphans.map((o) => deleteFolder(o.path)));
+    setOrphans([]);
+  };
+
+  const canAdd = !max || items.length + pendingJobs.length < max;
+
+  const upload = (files) => {
+    if (!files.length || !canAdd) return;
+    const slots = max ? Math.max(0, max - items.length - pendingJobs.length) : files.length;
+    // queued files take the positions after everything already listed or queued
+    const lastIndex = Math.max(
+      0,
+      ...items.map((it) => it.index || 0),
+      ...pendingJobs.map((j) => j.index)
+    );
+    addUploads(
+      files.slice(0, slots).map((file, i) => ({
+        file,
+        collectionPath,
+        mediaId: makeMediaId(),
+        index: lastIndex + 1 + i,
+      }))
+    );
+  };
+
+  // Files an item stopped using, except those the published release still shows;
+  // the next publish removes those.
+  const dropFiles = async (item, paths) => {
+    try {
+      const live = await getReleasedFilePaths(collectionPath, item.id);
+      await deleteFiles(paths.filter((path) => !live.has(path)));
+    } catch (err) {
+      console.warn(`Leftover files of ${item.id}:`, err);
+    }
+  };
+
+  const replace = async (item, file) => {
+    if (!file) return;
+    markBusy(item.id, true);
+    try {
+      const stale = await replaceMediaItem({
+        collectionPath,
+        id: item.id,
+        file,
+        previous: item,
+        onProgress,
+      });
+      await dropFiles(item, stale);
+    } catch (err) {
+      console.error(err);
+      alert("Replace failed.");
+    } finally {
+      markBusy(item.id, false);
+    }
+  };
+
+  // Resolves with the trash entry id, or null when the delete failed.
+  const remove = async (item) => {
+    const prev = items;
+    const next = prev.filter((x) => x.id !== item.id).map((x, i) => ({ ...x, index: i + 1 }));
+    setItems(next);
+    markBusy(item.id, true);
+    try {
+      return await trashMediaItem(collectionPath, item);
+    } catch (err) {
+      console.error(err);
+      alert("Delete failed. Restoring previous state.");
+      setItems(prev);
+      return null;
+    } finally {
+      markBusy(item.id, false);
+    }
+  };
+
+  // Resolves with the trash entry ids, or null when the delete failed.
+  const removeMany = async (list) => {
+    const ids = new Set(list.map((x) => x.id));
+    const prev = items;
+    setItems(prev.filter((x) => !ids.has(x.id)).map((x, i) => ({ ...x, index: i + 1 })));
+    ids.forEach((id) => markBusy(id, true));
+    try {
+      return await trashMediaItems(collectionPath, list);
+    } catch (err) {
+      console.error(err);
+      alert("Delete failed. Restoring previous state.");
+      setItems(prev);
+      return null;
+    } finally {
+      ids.forEach((id) => markBusy(id, false));
+    }
+  };
+
+  // `trashIds` is one id or, after a bulk delete, a list of them.
+  const undoRemove = async (trashIds) => {
+    const ids = [].concat(trashIds);
+    if (max && items.length + ids.length > max) {
+      alert(`This collection is full (${max}). Delete another image first.`);
+      return;
+    }
+    try {
+      // in deletion order, so every item gets its old position back
+      for (const id of ids) await restoreTrashId(id);
+    } catch (err) {
+      console.error(err);
+      alert(err?.message || "Restore failed.");
+    }
+  };
+
+  // `change` maps a list to its new order; it runs on the local list right
+  // away and again on the stored one inside the transaction.
+  const saveOrder = async (change) => {
+    const expectedIds = items.map((x) => x.id);
+    setItems(change(items));
+    try {
+      const { conflict } = await reorderMediaItems(collectionPath, change, { expectedIds });
+      if (conflict) setOrderNotice("conflict");
+    } catch (err) {
+      console.error(err);
+      alert("Reorder failed.");
+    }
+  };
+
+  const reorder = async (fromId, toId) => {
+    if (!fromId || fromId === toId) return;
+    await saveOrder((list) => moveItem(list, fromId, toId));
+  };
+
+  // `position` is 1-based, e.g. 1 to send an item to the top.
+  const moveTo = async (itemId, position) => {
+    const from = items.findIndex((x) => x.id === itemId) + 1;
+    const to = Math.min(Math.max(1, position), items.length);
+    if (!from || from === to) return;
+    await saveOrder((list) => moveItemTo(list, itemId, to));
+  };
+
+  // Move the selected `ids` together so the first one lands at `position`.
+  const moveBlock = async (ids, position) => {
+    if (!ids.length) return;
+    await saveOrder((list) => moveBlockTo(list, ids, position));
+  };
+
+  // Resolves true when every item was saved.
+  // `fields` may be a function of the item, for changes that depend on its values.
+  const updateMany = async (list, fields) => {
+    const byId = new Map(list.map((x) => [x.id, x]));
+    try {
+      await updateMediaItems(
+        collectionPath,
+        [...byId.keys()],
+        typeof fields === "function" ? (id) => fields(byId.get(id)) : fields
+      );
+      return true;
+    } catch (err) {
+      console.error(err);
+      alert("Saving changes failed.");
+      return false;
+    }
+  };
+
+  // Move items into another media collection (e.g. an album) that holds at
+  // most `max` items. Resolves true on success.
+  const moveToCollection = async (list, targetPath, { max: targetMax } = {}) => {
+    list.forEach((x) => markBusy(x.id, true));
+    try {
+      if (targetMax) {
+        const free = Math.max(0, targetMax - (await countMediaItems(targetPath)));
+        if (list.length > free) {
+          alert(
+            free
+              ? `Only ${free} more image${free === 1 ? "" : "s"} fit there (limit ${targetMax}).`
+              : `That collection is full (limit ${targetMax}).`
+          );
+          return false;
+        }
+      }
+      const folders = await moveMediaItems({ from: collectionPath, to: targetPath, items: list });
+      // a published release may still show the old files; the next publish removes them
+      const released = new Set(await getReleasedIds(collectionPath));
+      const stale = folders.filter((_, i) => !released.has(list[i].id));
+      await Promise.all(
+        stale.map((folder) =>
+          deleteFolder(folder).catch((err) => console.warn(`Leftover files in ${folder}:`, err))
+        )
+      );
+      return true;
+    } catch (err) {
+      console.error(err);
+      alert("Moving the images failed.");
+      return false;
+    } finally {
+      list.forEach((x) => markBusy(x.id, false));
+    }
+  };
+
+  const update = async (item, fields) => {
+    setItems((s) => s.map((x) => (x.id === item.id ? { ...x, ...fields } : x)));
+    try {
+      await updateMediaItem(collectionPath, item.id, fields);
+    } catch (err) {
+      console.error(err);
+      alert("Saving changes failed.");
+    }
+  };
+
+  // Framing is metadata only; a new rotation also rebuilds the served images.
+  const reframe = async (item, { framing, rotation = item.rotation || 0 }) => {
+    if (rotation === (item.rotation || 0)) return update(item, { framing });
+    markBusy(item.id, true);
+    try {
+      const stale = await rotateMediaItem({
+        collectionPath,
+        item,
+        rotation,
+        fields: { framing },
+        onProgress,
+      });
+      await dropFiles(item, stale);
+    } catch (err) {
+      console.error(err);
+      alert("Rotating the image failed.");
+    } finally {
+      markBusy(item.id, false);
+    }
+  };
+
+  const setMobile = async (item, file) => {
+    if (!file) return;
+    markBusy(item.id, true);
+    try {
+      await dropFiles(item, await setMobileVariant({ collectionPath, item, file, onProgress }));
+    } catch (err) {
+      console.error(err);
+      alert("Uploading the mobile image failed.");
+    } finally {
+      markBusy(item.id, false);
+    }
+  };
+
+  const clearMobile = async (item) => {
+    if (!confirm("Remove the mobile image? Phones will show the main image again.")) return;
+    markBusy(item.id, true);
+    try {
+      await dropFiles(item, await removeMobileVariant(collectionPath, item));
+    } catch (err) {
+      console.error(err);
+      alert("Removing the mobile image failed.");
+    } finally {
+      markBusy(item.id, false);
+    }
+  };
+
+  const uploadPct = useMemo(() => {
+    if (!overall.totalBytes) return 0;
+    return Math.min(100, Math.round((overall.transferred / overall.totalBytes) * 100));
+  }, [overall]);
+
+  return {
+    items,
+    busyIds,
+    overall,
+    uploadPct,
+    isUploading: overall.active > 0 || pendingJobs.length > 0,
+    uploads: { ...queue, jobs, summary: summarizeJobs(jobs) },
+    orphans,
+    cleanOrphans,
+    orderNotice,
+    dismissOrderNotice: () => setOrderNotice(null),
+    canAdd,
+    upload,
+    replace,
+    remove,
+    removeMany,
+    undoRemove,
+    reorder,
+    moveTo,
+    moveBlock,
+    update,
+    updateMany,
+    moveToCollection,
+    reframe,
+    setMobile,
+    clearMobile,
+  };
+}
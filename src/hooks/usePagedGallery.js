@@ -0,0 +1,129 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { subscribePublicPages } from "../lib/homeRelease";
+import { isPublished, nextScheduleChange } from "../lib/publishing";
+
+export const PAGE_SIZE = 12;
+
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30000;
+// setTimeout's longest delay; a later schedule change just re-arms the timer
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const EMPTY = { all: null, done: false, loading: false, pages: 1 };
+
+// Pages loaded per gallery, kept for the session so coming back to a page
+// shows what was already scrolled through (and the old scroll position fits)
+// while the listeners catch up.
+const loaded = new Map();
+
+/**
+ * Published items of `collectionPath` as the public sees them, a page at a
+ * time and kept live (see subscribePublicPages), so the home page follows
+ * along while the admin curates and publishes. The first page loads right
+ * away; `loadMore()` adds the next. Unpublished items are skipped, so a page
+ * may add fewer items than `pageSize`, and scheduled ones come and go when
+ * their publish or unpublish time passes. Without `pageSize` the whole
+ * collection comes at once.
+ *
+ * A failed listener is retried with backoff (1s doubling up to 30s) while the
+ * items already shown stay put, and right away when the window regains focus
+ * or the browser comes back online; `retry()` does the same on demand.
+ * `restored` is true when the pages came from earlier in the session.
+ */
+export function usePagedGallery(collectionPath, { preview = false, pageSize } = {}) {
+  const key = `${preview ? "preview:" : ""}${collectionPath}`;
+  const [gallery, setGallery] = useState(() => loaded.get(key) ?? EMPTY);
+  const [restored] = useState(() => loaded.has(key));
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  const pagesRef = useRef(gallery.pages);
+  const failuresRef = useRef(0);
+  const controlsRef = useRef(null);
+
+  // Another gallery starts from its own pages.
+  useEffect(() => {
+    const fresh = loaded.get(key) ?? EMPTY;
+    pagesRef.current = fresh.pages;
+    setGallery(fresh);
+    setError(null);
+    failuresRef.current = 0;
+  }, [key]);
+
+  useEffect(() => {
+    let retryTimer = null;
+    const controls = subscribePublicPages(
+      collectionPath,
+      { preview, pageSize, pages: pagesRef.current },
+      (all, { done, loading, pages }) => {
+        failuresRef.current = 0;
+        pagesRef.current = pages;
+        const next = { all, done, loading, pages };
+        loaded.set(key, next);
+        setGallery(next);
+        setError(null);
+      },
+      (err) => {
+        // several listeners can fail at once; one retry is enough
+        if (retryTimer) return;
+        console.error(`Error loading ${collectionPath}:`, err);
+        setError("Couldn’t load images.");
+        const delay = Math.min(RETRY_MIN_MS * 2 ** failuresRef.current, RETRY_MAX_MS);
+        failuresRef.current += 1;
+        retryTimer = setTimeout(() => setAttempt((a) => a + 1), delay);
+      }
+    );
+    controlsRef.current = controls;
+    return () => {
+      clearTimeout(retryTimer);
+      controls.unsubscribe();
+    };
+  }, [key, collectionPath, preview, pageSize, attempt]);
+
+  const retry = useCallback(() => {
+    failuresRef.current = 0;
+    setAttempt((a) => a + 1);
+  }, []);
+
+  useEffect(() => {
+    if (!error) return;
+    window.addEventListener("focus", retry);
+    window.addEventListener("online", retry);
+    return () => {
+      window.removeEventListener("focus", retry);
+      window.removeEventListener("online", retry);
+    };
+  }, [error, retry]);
+
+  const visible = useMemo(
+    () => gallery.all?.filter((it) => isPublished(it, now)) ?? null,
+    [gallery.all, now]
+  );
+
+  // Re-filter when the next scheduled item goes live or ends.
+  useEffect(() => {
+    const at = gallery.all && nextScheduleChange(gallery.all, now);
+    if (!at) return;
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(at - now, MAX_TIMER_MS));
+    return () => clearTimeout(timer);
+  }, [gallery.all, now]);
+
+  const loadMore = useCallback(() => controlsRef.current?.loadMore(), []);
+
+  // Keep going while nothing is visible yet, e.g. a first page of drafts only.
+  useEffect(() => {
+    if (visible?.length === 0 && !gallery.done && !gallery.loading) loadMore();
+  }, [visible, gallery, loadMore]);
+
+  const items = visible ?? [];
+  return {
+    items,
+    done: gallery.done,
+    restored,
+    isLoading: !visible && !error,
+    isLoadingMore: gallery.loading && items.length > 0 && !error,
+    error,
+    loadMore,
+    retry,
+  };
+}
@@ -0,0 +1,92 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useDragAutoScroll } from "./useDragAutoScroll";
+
+// Movement (px) before a press turns into a drag, so clicks still work.
+const DRAG_THRESHOLD = 6;
+const INTERACTIVE = "input, textarea, select, button, a, label, [contenteditable='true']";
+
+/**
+ * Pointer-event drag sorting that works for mouse, pen and touch. Sortable
+ * elements carry `data-sort-id`; spread `handleProps(id)` on each one.
+ *
+ * A mouse can drag from anywhere on the element except its controls. Touch
+ * and pen drag from an element marked `data-sort-handle`, which should have
+ * `touch-action: none` so the page doesn't scroll instead.
+ *
+ * `drag` is `{ id, overId }` while dragging, otherwise null.
+ * `onDrop(id, overId)` runs when a drag ends over another element; Escape
+ * cancels the drag.
+ */
+export function usePointerSort({ onDrop, disabled = false }) {
+  const [drag, setDrag] = useState(null);
+  const pendingRef = useRef(null);
+  const onDropRef = useRef(onDrop);
+  const autoScroll = useDragAutoScroll();
+
+  useEffect(() => {
+    onDropRef.current = onDrop;
+  }, [onDrop]);
+
+  const finish = useCallback(
+    (commit) => {
+      const p = pendingRef.current;
+      pendingRef.current = null;
+      autoScroll.stop();
+      setDrag(null);
+      if (commit && p?.started && p.overId && p.overId !== p.id) onDropRef.current(p.id, p.overId);
+    },
+    [autoScroll]
+  );
+
+  useEffect(() => {
+    const onMove = (e) => {
+      const p = pendingRef.current;
+      if (!p || e.pointerId !== p.pointerId) return;
+      if (!p.started) {
+        if (Math.hypot(e.clientX - p.x, e.clientY - p.y) < DRAG_THRESHOLD) return;
+        p.started = true;
+        autoScroll.start();
+      }
+      e.preventDefault();
+      autoScroll.track(e.clientY);
+      const over = document.elementFromPoint(e.clientX, e.clientY)?.closest("[data-sort-id]");
+      p.overId = over?.dataset.sortId ?? p.overId;
+      setDrag({ id: p.id, overId: p.overId });
+    };
+    const onUp = (e) => {
+      if (pendingRef.current?.pointerId === e.pointerId) finish(e.type === "pointerup");
+    };
+    const onKeyDown = (e) => {
+      if (e.key === "Escape" && pendingRef.current) finish(false);
+    };
+    window.addEventListener("pointermove", onMove, { passive: false });
+    window.addEventListener("pointerup", onUp);
+    window.addEventListener("pointercancel", onUp);
+    window.addEventListener("keydown", onKeyDown);
+    return () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      window.removeEventListener("pointercancel", onUp);
+      window.removeEventListener("keydown", onKeyDown);
+    };
+  }, [autoScroll, finish]);
+
+  const handleProps = (id) => ({
+    "data-sort-id": id,
+    onPointerDown: (e) => {
+      if (disabled || e.button !== 0) return;
+      const onHandle = Boolean(e.target.closest("[data-sort-handle]"));
+      if (!onHandle && (e.pointerType !== "mouse" || e.target.closest(INTERACTIVE))) return;
+      pendingRef.current = {
+        id,
+        pointerId: e.pointerId,
+        x: e.clientX,
+        y: e.clientY,
+        started: false,
+        overId: null,
+      };
+    },
+  });
+
+  return { drag, handleProps };
+}
@@ -0,0 +1,32 @@
+import { useEffect, useRef, useState } from "react";
+import { createUploadQueue } from "../lib/uploadQueue";
+
+/**
+ * React state around an upload queue (see lib/uploadQueue.js). `run` may
+ * change between renders; the latest one is used for each attempt. The
+ * queue's methods keep their identity for the life of the component.
+ * The queue is suspended on unmount, so persisted jobs survive navigation.
+ */
+export function useUploadQueue(run, { persist } = {}) {
+  const [jobs, setJobs] = useState([]);
+  const runRef = useRef(run);
+
+  useEffect(() => {
+    runRef.current = run;
+  });
+
+  const [queue] = useState(() =>
+    createUploadQueue({
+      run: (job, ctx) => runRef.current(job, ctx),
+      onChange: setJobs,
+      persist,
+    })
+  );
+
+  useEffect(() => {
+    queue.resume();
+    return () => queue.suspend();
+  }, [queue]);
+
+  return { jobs, ...queue };
+}
@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { downloadFilesAsZip } from "../lib/download";
+
+/**
+ * Drives a "download all as ZIP" action: `start(files, zipName)` resolves
+ * true when saved and false when cancelled (other failures throw);
+ * `progress` is `{ done, total }` while running, otherwise null.
+ */
+export function useZipDownload() {
+  const [progress, setProgress] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const start = useCallback(async (files, zipName) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setProgress({ done: 0, total: files.length });
+    try {
+      await downloadFilesAsZip({
+        files,
+        zipName,
+        signal: controller.signal,
+        onProgress: setProgress,
+      });
+      return true;
+    } catch (err) {
+      if (err?.name === "AbortError") return false;
+      throw err;
+    } finally {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  }, []);
+
+  const cancel = useCallback(() => controllerRef.current?.abort(), []);
+
+  return { progress, isZipping: progress !== null, start, cancel };
+}
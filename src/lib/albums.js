@@ -0,0 +1,138 @@
+import { db } from "./firebase";
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { commitInChunks, deleteFolder, makeMediaId } from "./mediaLibrary";
+import { dropTrashEntries } from "./trash";
+
+/**
+ * Named albums (weddings, engagements, quinceañeras, …).
+ *
+ *   albums/{albumId}         { name, slug, index, published, createdAt, updatedAt }
+ *   albums/{albumId}/images  media-library documents (see lib/mediaLibrary.js)
+ *
+ * Album photos live in Storage under the same path as their collection.
+ */
+
+export const ALBUMS = "albums";
+export const MAX_ALBUM_IMAGES = 200;
+
+/** Collection path of an album's images, for the media library. */
+export function albumImagesPath(albumId) {
+  return `${ALBUMS}/${albumId}/images`;
+}
+
+/** "Quinceañeras 2024!" → "quinceaneras-2024" */
+export function slugify(name = "") {
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function uniqueSlug(base, taken) {
+  const root = base || "album";
+  let slug = root;
+  for (let n = 2; taken.has(slug); n++) slug = `${root}-${n}`;
+  return slug;
+}
+
+/** Realtime, index-ordered list of every album (admin). Returns unsubscribe. */
+export function subscribeAlbums(onAlbums, onError) {
+  const q = query(collection(db, ALBUMS), orderBy("index", "asc"));
+  return onSnapshot(
+    q,
+    (snap) => onAlbums(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    onError
+  );
+}
+
+/** A published album by slug, or null. */
+export async function getPublishedAlbumBySlug(slug) {
+  const q = query(
+    collection(db, ALBUMS),
+    where("slug", "==", slug),
+    where("published", "==", true),
+    limit(1)
+  );
+  const snap = await getDocs(q);
+  const d = snap.docs[0];
+  return d ? { id: d.id, ...d.data() } : null;
+}
+
+export async function getAlbum(albumId) {
+  const snap = await getDoc(doc(db, ALBUMS, albumId));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+}
+
+/** Create an unpublished album at the end of `albums`. Resolves with its id. */
+export async function createAlbum(name, albums) {
+  const id = makeMediaId();
+  const slug = uniqueSlug(slugify(name), new Set(albums.map((a) => a.slug)));
+  await setDoc(doc(db, ALBUMS, id), {
+    name: name.trim(),
+    slug,
+    index: albums.length + 1,
+    published: false,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return id;
+}
+
+/**
+ * Rename an album. The slug follows the name only while the album is
+ * unpublished, so shared /albums/:slug links keep working.
+ */
+export async function renameAlbum(album, name, albums) {
+  const fields = { name: name.trim(), updatedAt: serverTimestamp() };
+  if (!album.published) {
+    const taken = new Set(albums.filter((a) => a.id !== album.id).map((a) => a.slug));
+    fields.slug = uniqueSlug(slugify(name), taken);
+  }
+  await setDoc(doc(db, ALBUMS, album.id), fields, { merge: true });
+}
+
+export async function setAlbumPublished(albumId, published) {
+  await setDoc(
+    doc(db, ALBUMS, albumId),
+    { published, updatedAt: serverTimestamp() },
+    { merge: true }
+  );
+}
+
+/** Rewrite `index` (1-based) for `albums` in their current order. */
+export async function reorderAlbums(albums) {
+  const batch = writeBatch(db);
+  albums.forEach((a, i) =>
+    batch.set(doc(db, ALBUMS, a.id), { index: i + 1, updatedAt: serverTimestamp() }, { merge: true })
+  );
+  await batch.commit();
+}
+
+/**
+ * Delete an album, its image documents, its Storage folder (trashed photos'
+ * files included) and its photos' trash entries.
+ */
+export async function deleteAlbum(albumId) {
+  const imagesPath = albumImagesPath(albumId);
+  await deleteFolder(imagesPath);
+  const snap = await getDocs(collection(db, imagesPath));
+  await commitInChunks(snap.docs.map((d) => [(batch) => batch.delete(d.ref)]));
+  await dropTrashEntries(imagesPath);
+  await deleteDoc(doc(db, ALBUMS, albumId));
+}
@@ -0,0 +1,183 @@
+import { db } from "./firebase";
+import {
+  arrayRemove,
+  arrayUnion,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  Timestamp,
+  where,
+} from "firebase/firestore";
+
+/**
+ * Private client proofing galleries, shared through /g/:token links the same
+ * way testimonial invites use /t/:token.
+ *
+ *   clientGalleries/{token}                      { token, adminUid, clientName, event,
+ *                                                  expiresAt, favoritesLimit, createdAt, updatedAt }
+ *   clientGalleries/{token}/images               media-library documents
+ *   clientGalleries/{token}/selection/favorites  { imageIds: [], updatedAt }
+ *
+ * `favoritesLimit` is how many photos the client may select (0 = no limit).
+ */
+
+export const CLIENT_GALLERIES = "clientGalleries";
+export const MAX_GALLERY_IMAGES = 500;
+
+export function makeToken() {
+  return crypto.randomUUID().replace(/-/g, "");
+}
+
+export function galleryImagesPath(token) {
+  return `${CLIENT_GALLERIES}/${token}/images`;
+}
+
+function favoritesRef(token) {
+  return doc(db, CLIENT_GALLERIES, token, "selection", "favorites");
+}
+
+export function galleryLink(token) {
+  return `${window.location.origin}/g/${token}`;
+}
+
+export function expiresAtMillis(gallery) {
+  const exp = gallery?.expiresAt;
+  if (!exp) return 0;
+  return exp instanceof Timestamp ? exp.toMillis() : new Date(exp).getTime();
+}
+
+export function isGalleryExpired(gallery) {
+  return Date.now() >= expiresAtMillis(gallery);
+}
+
+/** Realtime list of the admin's galleries, newest first. Returns unsubscribe. */
+export function subscribeGalleries(adminUid, onGalleries, onError) {
+  const q = query(
+    collection(db, CLIENT_GALLERIES),
+    where("adminUid", "==", adminUid),
+    orderBy("createdAt", "desc")
+  );
+  return onSnapshot(
+    q,
+    (snap) => onGalleries(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    onError
+  );
+}
+
+export async function getGallery(token) {
+  const snap = await getDoc(doc(db, CLIENT_GALLERIES, token));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+}
+
+/** Create a gallery that expires at the end of the local day `expiresOn`. */
+export async function createGallery({ adminUid, clientName, event, expiresOn, favoritesLimit = 0 }) {
+  const token = makeToken();
+  await setDoc(doc(db, CLIENT_GALLERIES, token), {
+    token,
+    adminUid,
+    clientName: clientName.trim(),
+    event: event.trim(),
+    expiresAt: Timestamp.fromDate(expiresOn),
+    favoritesLimit,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return token;
+}
+
+export async function updateGallery(token, fields) {
+  await setDoc(
+    doc(db, CLIENT_GALLERIES, token),
+    { ...fields, updatedAt: serverTimestamp() },
+    { merge: true }
+  );
+}
+
+export async function setGalleryExpiry(token, expiresOn) {
+  await updateGallery(token, { expiresAt: Timestamp.fromDate(expiresOn) });
+}
+
+export async function setFavoritesLimit(token, favoritesLimit) {
+  await updateGallery(token, { favoritesLimit: Math.max(0, Math.floor(favoritesLimit) || 0) });
+}
+
+/** Index-ordered images of a gallery. */
+export async function getGalleryImages(token) {
+  const snap = await getDocs(query(collection(db, galleryImagesPath(token)), orderBy("index", "asc")));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+/** Realtime favorites of a gallery (array of image ids). Returns unsubscribe. */
+export function subscribeFavorites(token, onIds, onError) {
+  return onSnapshot(
+    favoritesRef(token),
+    (snap) => onIds(snap.exists() ? snap.data().imageIds || [] : []),
+    onError
+  );
+}
+
+/**
+ * Add or remove one favorite. Adding checks the gallery's `favoritesLimit`
+ * in a transaction, so quick taps or a second tab can't pick more than it
+ * allows; only ids in `galleryIds` (the photos still in the gallery) count.
+ * Resolves false when the limit is already reached.
+ */
+export async function setFavorite(token, imageId, favorite, { galleryIds = [] } = {}) {
+  if (!favorite) {
+    await setDoc(
+      favoritesRef(token),
+      { imageIds: arrayRemove(imageId), updatedAt: serverTimestamp() },
+      { merge: true }
+    );
+    return true;
+  }
+  return await runTransaction(db, async (tx) => {
+    const [gallery, selection] = await Promise.all([
+      tx.get(doc(db, CLIENT_GALLERIES, token)),
+      tx.get(favoritesRef(token)),
+    ]);
+    const limit = gallery.data()?.favoritesLimit || 0;
+    const inGallery = new Set(galleryIds);
+    const picked = (selection.data()?.imageIds || []).filter((id) => inGallery.has(id));
+    if (picked.includes(imageId)) return true;
+    if (limit && picked.length >= limit) return false;
+    tx.set(
+      favoritesRef(token),
+      { imageIds: arrayUnion(imageId), updatedAt: serverTimestamp() },
+      { merge: true }
+    );
+    return true;
+  });
+}
+
+/* ---------------- Selection export ---------------- */
+
+/** File names of the selected images, in gallery order. */
+export function selectionFileNames(images, imageIds) {
+  const selected = new Set(imageIds);
+  return images.filter((img) => selected.has(img.id)).map((img) => img.fileName || `${img.id}.jpg`);
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/** One file name per row, under a `filename` header. */
+export function selectionToCsv(fileNames) {
+  return ["filename", ...fileNames.map(csvField)].join("\r\n") + "\r\n";
+}
+
+/**
+ * File names without extensions, comma separated, for Lightroom's
+ * Library Filter → Text → Filename → Contains.
+ */
+export function selectionToLightroomFilter(fileNames) {
+  return fileNames.map((name) => name.replace(/\.[^.]+$/, "")).join(", ");
+}
@@ -0,0 +1,28 @@
+/* ---------------- Local-date helpers ---------------- */
+
+/** Date → 'YYYY-MM-DD' in local time. */
+export function fmtYmd(date) {
+  const y = date.getFullYear();
+  const m = `${date.getMonth() + 1}`.padStart(2, "0");
+  const d = `${date.getDate()}`.padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+/** Parse 'YYYY-MM-DD' as a LOCAL date (avoid UTC off-by-one) */
+export function parseYmdLocal(ymd) {
+  const [y, m, d] = ymd.split("-").map((s) => parseInt(s, 10));
+  return new Date(y, m - 1, d, 0, 0, 0, 0);
+}
+
+/** Last millisecond of the local day 'YYYY-MM-DD'. */
+export function endOfDayLocal(ymd) {
+  const d = parseYmdLocal(ymd);
+  d.setHours(23, 59, 59, 999);
+  return d;
+}
+
+export function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
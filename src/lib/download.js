@@ -0,0 +1,110 @@
+import { makeZip } from "client-zip";
+
+/**
+ * Browser download helpers. Cross-origin <a download> is ignored by
+ * browsers, so files are fetched first (the Storage bucket must allow CORS
+ * GETs from the site origin) and saved from an object URL.
+ */
+
+const UNSAFE_CHARS = '\\/:*?"<>|';
+
+/** Replace characters that are unsafe in file names on common systems. */
+export function safeFileName(name, fallback = "file") {
+  const clean = Array.from(name || "")
+    .map((c) => (c.charCodeAt(0) < 32 || UNSAFE_CHARS.includes(c) ? "_" : c))
+    .join("")
+    .trim();
+  return clean || fallback;
+}
+
+/** Save `blob` as `fileName`. */
+export function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Fetch `url` and save it as `fileName`. */
+export async function downloadURL(url, fileName) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Download failed (${res.status})`);
+  saveBlob(await res.blob(), fileName);
+}
+
+function withSuffix(name, n) {
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? `${name.slice(0, dot)} (${n})${name.slice(dot)}` : `${name} (${n})`;
+}
+
+/** ["a.jpg", "a.jpg", "b.jpg"] → ["a.jpg", "a (2).jpg", "b.jpg"] (case-insensitive). */
+export function uniqueFileNames(names) {
+  const taken = new Set();
+  return names.map((name) => {
+    let candidate = name;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = withSuffix(name, n);
+    taken.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+/**
+ * Zip entries for the originals of media-library items: the uploaded file
+ * name when it was recorded, otherwise `{prefix}-001.jpg`, `{prefix}-002.jpg`, …
+ */
+export function originalsForZip(items, prefix) {
+  const pad = Math.max(3, String(items.length).length);
+  return items
+    .filter((it) => it.originalURL)
+    .map((it, i) => ({
+      url: it.originalURL,
+      name: it.fileName || `${prefix}-${String(i + 1).padStart(pad, "0")}.jpg`,
+    }));
+}
+
+/** A writable for `fileName` on disk where the browser supports it, else null. */
+async function openSaveTarget(fileName) {
+  if (typeof window.showSaveFilePicker !== "function") return null;
+  const handle = await window.showSaveFilePicker({
+    suggestedName: fileName,
+    types: [{ description: "ZIP archive", accept: { "application/zip": [".zip"] } }],
+  });
+  return handle.createWritable();
+}
+
+/**
+ * Fetch `files` ([{ url, name }]) one at a time and stream them into a ZIP
+ * saved as `zipName`. Where the File System Access API exists the archive is
+ * written straight to disk; elsewhere it is assembled in memory first.
+ *
+ * `onProgress({ done, total })` fires after each file is added. Aborting
+ * `signal` (or dismissing the save dialog) rejects with an AbortError.
+ */
+export async function downloadFilesAsZip({ files, zipName, onProgress, signal }) {
+  const total = files.length;
+  const names = uniqueFileNames(files.map((f, i) => safeFileName(f.name, `file-${i + 1}`)));
+  const target = await openSaveTarget(zipName);
+
+  async function* entries() {
+    for (let i = 0; i < total; i++) {
+      const res = await fetch(files[i].url, { signal });
+      if (!res.ok) throw new Error(`Download failed (${res.status}): ${names[i]}`);
+      yield { name: names[i], input: res };
+      // resumed once the archive has consumed the previous entry
+      onProgress?.({ done: i + 1, total });
+    }
+  }
+
+  const zip = makeZip(entries());
+  if (target) {
+    await zip.pipeTo(target, { signal });
+  } else {
+    const blob = await new Response(zip).blob();
+    signal?.throwIfAborted();
+    saveBlob(blob, zipName);
+  }
+}
@@ -0,0 +1,327 @@
+/**
+ * Just enough JPEG/EXIF handling for the upload pipeline: read the camera
+ * fields worth showing, and remove location data before a file is uploaded.
+ *
+ * Only baseline TIFF tags in IFD0, the Exif sub-IFD and the GPS sub-IFD are
+ * looked at; anything else in the file is left untouched. PNG and WebP files
+ * only have their EXIF and XMP chunks removed.
+ */
+
+const SOI = 0xffd8;
+const APP1 = 0xffe1;
+const SOS = 0xffda;
+const EXIF_HEADER = "Exif\0\0";
+const XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+const PNG_SIGNATURE = "\x89PNG\r\n\x1a\n";
+const PNG_XMP_KEYWORD = "XML:com.adobe.xmp\0";
+const VP8X_EXIF_FLAG = 0x08;
+const VP8X_XMP_FLAG = 0x04;
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const IFD0_TAGS = {
+  0x010f: "make",
+  0x0110: "model",
+  0x0112: "orientation",
+  0x0132: "modifiedAt",
+};
+const EXIF_TAGS = {
+  0x829a: "exposureTime",
+  0x829d: "fNumber",
+  0x8827: "iso",
+  0x9003: "dateTimeOriginal",
+  0x9011: "offsetTimeOriginal",
+  0x920a: "focalLength",
+  0xa405: "focalLength35",
+  0xa433: "lensMake",
+  0xa434: "lensModel",
+};
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+function ascii(view, offset, length) {
+  let s = "";
+  for (let i = 0; i < length; i++) s += String.fromCharCode(view.getUint8(offset + i));
+  return s;
+}
+
+/** APP segments before the image data: [{ marker, start, end, dataStart }]. */
+function jpegSegments(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== SOI) return null;
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xff00) !== 0xff00 || marker === SOS) break;
+    const length = view.getUint16(offset + 2);
+    segments.push({ marker, start: offset, end: offset + 2 + length, dataStart: offset + 4 });
+    offset += 2 + length;
+  }
+  return segments;
+}
+
+function isSegment(view, segment, header) {
+  return (
+    segment.marker === APP1 &&
+    segment.end - segment.dataStart >= header.length &&
+    ascii(view, segment.dataStart, header.length) === header
+  );
+}
+
+/**
+ * A reader over the TIFF structure inside an Exif APP1 `segment`, or null
+ * when it isn't one. `entries` throws on a directory that runs past the end
+ * of the segment; callers treat that as EXIF they can't read.
+ */
+function tiffReader(view, segment) {
+  const start = segment.dataStart + EXIF_HEADER.length;
+  const end = Math.min(segment.end, view.byteLength);
+  const inside = (o, n) => o >= 0 && start + o + n <= end;
+  if (!inside(0, 8)) return null;
+  const little = ascii(view, start, 2) === "II";
+  const u16 = (o) => view.getUint16(start + o, little);
+  const u32 = (o) => view.getUint32(start + o, little);
+  const s32 = (o) => view.getInt32(start + o, little);
+  if (u16(2) !== 42) return null;
+
+  const entries = (ifdOffset) => {
+    if (!ifdOffset) return [];
+    if (!inside(ifdOffset, 2)) throw new RangeError("EXIF directory out of bounds");
+    const count = u16(ifdOffset);
+    if (!inside(ifdOffset + 2, count * 12)) throw new RangeError("EXIF directory cut short");
+    const list = [];
+    for (let i = 0; i < count; i++) {
+      const at = ifdOffset + 2 + i * 12;
+      const type = u16(at + 2);
+      const n = u32(at + 4);
+      const size = (TYPE_SIZES[type] || 1) * n;
+      list.push({ at, tag: u16(at), type, count: n, size, valueAt: size > 4 ? u32(at + 8) : at + 8 });
+    }
+    return list;
+  };
+
+  const value = (e) => {
+    if (!inside(e.valueAt, e.size)) return undefined;
+    switch (e.type) {
+      case 2:
+        return ascii(view, start + e.valueAt, e.count).replace(/\0+$/, "").trim();
+      case 3:
+        return u16(e.valueAt);
+      case 4:
+        return u32(e.valueAt);
+      case 9:
+        return s32(e.valueAt);
+      case 5: {
+        const den = u32(e.valueAt + 4);
+        return den ? u32(e.valueAt) / den : undefined;
+      }
+      case 10: {
+        const den = s32(e.valueAt + 4);
+        return den ? s32(e.valueAt) / den : undefined;
+      }
+      default:
+        return undefined;
+    }
+  };
+
+  return { ifd0: u32(4), entries, value, start, end };
+}
+
+function collect(tiff, ifdOffset, names, into) {
+  for (const e of tiff.entries(ifdOffset)) {
+    if (names[e.tag]) into[names[e.tag]] = tiff.value(e);
+  }
+}
+
+/** "2024:06:01 17:32:10" (+ "-07:00") → "2024-06-01T17:32:10-07:00" */
+function exifDate(dateTime, offset) {
+  const m = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(dateTime || "");
+  if (!m || m[1] === "0000") return undefined;
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${offset || ""}`;
+}
+
+/**
+ * Camera fields of a JPEG, or null when it has no EXIF (or none that can be
+ * read):
+ *   { make, model, lens, focalLength, focalLength35, fNumber, exposureTime,
+ *     iso, capturedAt, orientation, hasLocation }
+ * Missing fields are left out. `capturedAt` is the camera's local time, with
+ * its UTC offset when the camera recorded one.
+ */
+export function readExif(buffer) {
+  const view = new DataView(buffer);
+  const segment = jpegSegments(view)?.find((s) => isSegment(view, s, EXIF_HEADER));
+  if (!segment) return null;
+  const tiff = tiffReader(view, segment);
+  if (!tiff) return null;
+  try {
+    return exifFields(tiff);
+  } catch {
+    return null;
+  }
+}
+
+function exifFields(tiff) {
+  const raw = {};
+  collect(tiff, tiff.ifd0, IFD0_TAGS, raw);
+  const pointers = Object.fromEntries(tiff.entries(tiff.ifd0).map((e) => [e.tag, tiff.value(e)]));
+  collect(tiff, pointers[EXIF_IFD_POINTER], EXIF_TAGS, raw);
+
+  const lens =
+    raw.lensModel && raw.lensMake && !raw.lensModel.startsWith(raw.lensMake)
+      ? `${raw.lensMake} ${raw.lensModel}`
+      : raw.lensModel;
+  const fields = {
+    make: raw.make,
+    model: raw.model,
+    lens,
+    focalLength: raw.focalLength,
+    focalLength35: raw.focalLength35,
+    fNumber: raw.fNumber,
+    exposureTime: raw.exposureTime,
+    iso: raw.iso,
+    capturedAt: exifDate(raw.dateTimeOriginal || raw.modifiedAt, raw.offsetTimeOriginal),
+    orientation: raw.orientation,
+    hasLocation: tiff.entries(pointers[GPS_IFD_POINTER]).length > 0,
+  };
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, v]) => v !== undefined && v !== "" && !Number.isNaN(v))
+  );
+}
+
+/**
+ * A copy of the image in `buffer` without location data, or null when it is
+ * neither a JPEG, a PNG nor a WebP file (or one whose chunks can't be read).
+ *
+ * In a JPEG every GPS tag is zeroed and the GPS directory emptied, and XMP
+ * packets (which repeat GPS and editing history) are dropped. An Exif
+ * segment that can't be read is dropped whole, since its GPS tags can't be
+ * found. PNG and WebP files lose their EXIF and XMP chunks.
+ */
+export function stripLocation(buffer) {
+  const bytes = new Uint8Array(buffer.slice(0));
+  const view = new DataView(bytes.buffer);
+  if (ascii(view, 0, Math.min(8, view.byteLength)) === PNG_SIGNATURE) return stripPng(bytes, view);
+  if (view.byteLength >= 12 && ascii(view, 0, 4) === "RIFF" && ascii(view, 8, 4) === "WEBP") {
+    return stripWebp(bytes, view);
+  }
+  const segments = jpegSegments(view);
+  if (!segments) return null;
+
+  const exif = segments.find((s) => isSegment(view, s, EXIF_HEADER));
+  const dropped = segments.filter((s) => isSegment(view, s, XMP_HEADER));
+  if (exif && !clearGps(bytes, tiffReader(view, exif))) dropped.push(exif);
+  return without(bytes, dropped);
+}
+
+/** `bytes` minus the `ranges` ({ start, end }), or `bytes` itself if none. */
+function without(bytes, ranges) {
+  if (!ranges.length) return bytes;
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const parts = [];
+  let from = 0;
+  for (const r of sorted) {
+    parts.push(bytes.subarray(from, r.start));
+    from = r.end;
+  }
+  parts.push(bytes.subarray(from));
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+}
+
+/** PNG without its eXIf chunk and XMP iTXt chunk; null if a chunk runs short. */
+function stripPng(bytes, view) {
+  const dropped = [];
+  let offset = PNG_SIGNATURE.length;
+  for (;;) {
+    if (offset + 12 > view.byteLength) return null;
+    const length = view.getUint32(offset);
+    const type = ascii(view, offset + 4, 4);
+    const end = offset + 12 + length;
+    if (end > view.byteLength) return null;
+    const isXmp =
+      type === "iTXt" &&
+      length >= PNG_XMP_KEYWORD.length &&
+      ascii(view, offset + 8, PNG_XMP_KEYWORD.length) === PNG_XMP_KEYWORD;
+    if (type === "eXIf" || isXmp) dropped.push({ start: offset, end });
+    if (type === "IEND") break;
+    offset = end;
+  }
+  return without(bytes, dropped);
+}
+
+/**
+ * WebP without its EXIF and XMP chunks, with the VP8X flags and RIFF size
+ * to match; null if a chunk runs short.
+ */
+function stripWebp(bytes, view) {
+  const dropped = [];
+  let vp8x = null;
+  let offset = 12;
+  while (offset < view.byteLength) {
+    if (offset + 8 > view.byteLength) return null;
+    const type = ascii(view, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    // chunks are padded to an even size
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > view.byteLength) return null;
+    if (type === "VP8X" && size >= 1) vp8x = offset + 8;
+    if (type === "EXIF" || type === "XMP ") dropped.push({ start: offset, end });
+    offset = end;
+  }
+  if (!dropped.length) return bytes;
+  if (vp8x !== null) bytes[vp8x] &= ~(VP8X_EXIF_FLAG | VP8X_XMP_FLAG);
+  const out = without(bytes, dropped);
+  new DataView(out.buffer).setUint32(4, out.length - 8, true);
+  return out;
+}
+
+/** Zero the GPS tags of `tiff` in place. False when they couldn't be read. */
+function clearGps(bytes, tiff) {
+  if (!tiff) return false;
+  try {
+    const gps = tiff.entries(tiff.ifd0).find((e) => e.tag === GPS_IFD_POINTER);
+    const gpsOffset = gps && tiff.value(gps);
+    const gpsEntries = tiff.entries(gpsOffset);
+    for (const e of gpsEntries) {
+      if (e.size > 4 && tiff.start + e.valueAt + e.size <= tiff.end) {
+        bytes.fill(0, tiff.start + e.valueAt, tiff.start + e.valueAt + e.size);
+      }
+      bytes.fill(0, tiff.start + e.at, tiff.start + e.at + 12);
+    }
+    // zero entries leave the next-IFD pointer reading 0; an empty IFD is valid
+    if (gpsEntries.length) bytes.fill(0, tiff.start + gpsOffset, tiff.start + gpsOffset + 2);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** 0.005 → "1/200 s", 2 → "2 s" */
+function formatExposure(seconds) {
+  if (seconds >= 1) return `${Math.round(seconds * 10) / 10} s`;
+  return `1/${Math.round(1 / seconds)} s`;
+}
+
+/** "Canon EOS R5 · 85 mm · f/1.8 · 1/200 s · ISO 400", or "" without EXIF. */
+export function formatExif(exif) {
+  if (!exif) return "";
+  const camera =
+    exif.model && exif.make && !exif.model.startsWith(exif.make)
+      ? `${exif.make} ${exif.model}`
+      : exif.model || exif.make;
+  return [
+    camera,
+    exif.focalLength && `${Math.round(exif.focalLength)} mm`,
+    exif.fNumber && `f/${Math.round(exif.fNumber * 10) / 10}`,
+    exif.exposureTime && formatExposure(exif.exposureTime),
+    exif.iso && `ISO ${exif.iso}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
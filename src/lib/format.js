@@ -0,0 +1,6 @@
+/** 1536 → "2 KB", 5_400_000 → "5.1 MB" */
+export function formatBytes(bytes = 0) {
+  if (bytes < 1024 * 1024) return `${Math.max(bytes ? 1 : 0, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+}
@@ -0,0 +1,58 @@
+/**
+ * Non-destructive framing of media-library images (see lib/mediaLibrary.js).
+ *
+ * An item may carry
+ *   framing: {
+ *     focalPoint: { x, y },                       // percent of the image, 0–100
+ *     crops: { [variant]: { x, y, width, height } }, // percent of the image
+ *   }
+ * Crops are drawn at the variant's aspect ratio without zoom, so each one is
+ * exactly the window `object-cover` shows in a frame of that shape; public
+ * components turn them into an `object-position`.
+ */
+
+export const CROP_VARIANTS = [
+  { key: "desktop", label: "Desktop", aspect: 16 / 9 },
+  { key: "mobile", label: "Mobile", aspect: 4 / 5 },
+];
+
+const clampPct = (n) => Math.min(100, Math.max(0, n));
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Where a crop sits along one axis, as an object-position percentage: 0 when
+ * it touches the start, 100 when it touches the end.
+ */
+function axisPosition(offset, size) {
+  if (size >= 100) return 50;
+  return clampPct((offset / (100 - size)) * 100);
+}
+
+/**
+ * CSS `object-position` for `variant` (a CROP_VARIANTS key): its crop when
+ * one is set, else the focal point, else undefined (the browser's centre).
+ */
+export function objectPosition(framing, variant) {
+  const crop = variant && framing?.crops?.[variant];
+  if (crop) {
+    return `${round(axisPosition(crop.x, crop.width))}% ${round(axisPosition(crop.y, crop.height))}%`;
+  }
+  const focal = framing?.focalPoint;
+  if (focal) return `${round(clampPct(focal.x))}% ${round(clampPct(focal.y))}%`;
+  return undefined;
+}
+
+/** react-easy-crop's croppedArea (percentages) → a stored crop. */
+export function toCrop(area) {
+  return {
+    x: round(area.x),
+    y: round(area.y),
+    width: round(area.width),
+    height: round(area.height),
+  };
+}
+
+/** Quarter turns only; anything else is rounded to the nearest one. */
+export function normalizeRotation(deg) {
+  return (((Math.round((deg || 0) / 90) * 90) % 360) + 360) % 360;
+}
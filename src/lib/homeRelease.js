@@ -0,0 +1,282 @@
+import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  startAfter,
+  writeBatch,
+} from "firebase/firestore";
+import { deleteFiles, deleteFolder, mediaFilePaths, mediaFolder } from "./mediaLibrary";
+import { toMillis } from "./publishing";
+import { trashedDocs } from "./trash";
+
+/**
+ * Staging for the media collections on the home page.
+ *
+ * The admin edits `gallery` and `masonry` as before; those collections are
+ * the draft. Publishing copies them in one batch to
+ *   releases/{collection}                 { publishedAt, itemCount }
+ *   releases/{collection}/items/{id}      the media documents as published
+ * which is what the public home page reads. Until a collection has been
+ * published once, the public page keeps reading the collection itself.
+ *
+ * Storage files are shared between draft and release. A deleted item keeps
+ * its folder, and a replaced, rotated or re-cropped one the file generation
+ * the release points at (see lib/mediaLibrary), until the change is
+ * published; publishing then deletes what the release stopped using.
+ */
+
+export const RELEASES = "releases";
+export const STAGED_COLLECTIONS = ["gallery", "masonry"];
+export const MAX_CAROUSEL_IMAGES = 5;
+export const MAX_MASONRY_IMAGES = 40;
+
+export function isStaged(collectionPath) {
+  return STAGED_COLLECTIONS.includes(collectionPath);
+}
+
+export function releaseItemsPath(collectionPath) {
+  return `${RELEASES}/${collectionPath}/items`;
+}
+
+const byIndex = (path) => query(collection(db, path), orderBy("index", "asc"));
+
+/**
+ * Realtime, index-ordered items of `collectionPath` as the public sees them:
+ * the published release of a staged collection, or the draft when `preview`.
+ * Other collections are read as they are, and a collection published for the
+ * first time switches over from its draft on the fly.
+ *
+ * Items come `pageSize` at a time, starting with `pages` pages. Each page is
+ * a listener of its own that starts after the last document of the page
+ * before it, so `loadMore()` adds the next page without reading the loaded
+ * ones again. When a page's last document changes, only the pages after it
+ * are re-anchored. Without `pageSize` the whole collection is one page.
+ *
+ * `onItems(items, { done, loading, pages })` gets the loaded pages in order;
+ * `loading` is true while a requested page hasn't arrived yet.
+ * Returns { loadMore, unsubscribe }.
+ */
+export function subscribePublicPages(
+  collectionPath,
+  { preview = false, pageSize, pages: initialPages = 1 } = {},
+  onItems,
+  onError
+) {
+  let path = null;
+  let wanted = initialPages;
+  const pages = []; // { cursor, docs, done, unsub }, docs null until the first snapshot
+
+  const dropFrom = (i) => {
+    pages.splice(i).forEach((p) => p.unsub());
+  };
+
+  const emit = () => {
+    const loaded = [];
+    for (const p of pages) {
+      if (!p.docs) break;
+      loaded.push(p);
+    }
+    if (!loaded.length) return;
+    // a document moving between pages can show up in both for a moment
+    const seen = new Set();
+    const items = [];
+    for (const d of loaded.flatMap((p) => p.docs)) {
+      if (seen.has(d.id)) continue;
+      seen.add(d.id);
+      items.push({ id: d.id, ...d.data() });
+    }
+    const complete = loaded.length === pages.length;
+    onItems(items, { done: complete && pages.at(-1).done, loading: !complete, pages: wanted });
+  };
+
+  // Keep the page after `i` anchored on the current last document of page `i`.
+  const chain = (i) => {
+    const page = pages[i];
+    if (page.done || i + 1 >= wanted) {
+      dropFrom(i + 1);
+      return;
+    }
+    const last = page.docs.at(-1);
+    const next = pages[i + 1];
+    if (next && next.cursor.id === last.id && next.cursor.get("index") === last.get("index")) {
+      return;
+    }
+    dropFrom(i + 1);
+    listen(i + 1, last);
+  };
+
+  const listen = (i, cursor) => {
+    const constraints = [];
+    if (cursor) constraints.push(startAfter(cursor));
+    if (pageSize) constraints.push(limit(pageSize));
+    const page = { cursor, docs: null, done: false };
+    pages[i] = page;
+    page.unsub = onSnapshot(
+      query(byIndex(path), ...constraints),
+      (snap) => {
+        page.docs = snap.docs;
+        page.done = !pageSize || snap.size < pageSize;
+        chain(i);
+        emit();
+      },
+      onError
+    );
+  };
+
+  const switchTo = (next) => {
+    if (next === path) return;
+    path = next;
+    dropFrom(0);
+    listen(0, null);
+  };
+
+  let unsubRelease = () => {};
+  if (preview || !isStaged(collectionPath)) {
+    switchTo(collectionPath);
+  } else {
+    unsubRelease = onSnapshot(
+      doc(db, RELEASES, collectionPath),
+      (release) => switchTo(release.exists() ? releaseItemsPath(collectionPath) : collectionPath),
+      onError
+    );
+  }
+
+  return {
+    loadMore() {
+      const last = pages.at(-1);
+      if (!pageSize || !last?.docs || last.done) return;
+      wanted = pages.length + 1;
+      chain(pages.length - 1);
+      emit();
+    },
+    unsubscribe() {
+      unsubRelease();
+      dropFrom(0);
+    },
+  };
+}
+
+/** Ids in the published release of `collectionPath`, whose files must stay. */
+export async function getReleasedIds(collectionPath) {
+  if (!isStaged(collectionPath)) return [];
+  const snap = await getDocs(collection(db, releaseItemsPath(collectionPath)));
+  return snap.docs.map((d) => d.id);
+}
+
+/** Storage paths the published release of item `id` points at. */
+export async function getReleasedFilePaths(collectionPath, id) {
+  if (!isStaged(collectionPath)) return new Set();
+  const snap = await getDoc(doc(db, releaseItemsPath(collectionPath), id));
+  return new Set(mediaFilePaths(snap.data()));
+}
+
+/** Draft vs. release of one collection: { added, removed, changed } id lists. */
+function diffCollection(draftDocs, releasedDocs) {
+  const released = new Map(releasedDocs.map((d) => [d.id, toMillis(d.data().updatedAt)]));
+  const draftIds = new Set(draftDocs.map((d) => d.id));
+  return {
+    added: draftDocs.filter((d) => !released.has(d.id)).map((d) => d.id),
+    removed: [...released.keys()].filter((id) => !draftIds.has(id)),
+    changed: draftDocs
+      .filter((d) => released.has(d.id) && released.get(d.id) !== toMillis(d.data().updatedAt))
+      .map((d) => d.id),
+  };
+}
+
+/**
+ * Realtime comparison of every staged collection with its release:
+ *   onStatus({ collections: { [name]: { published, publishedAt, added, removed, changed } },
+ *              changeCount })
+ * Returns unsubscribe.
+ */
+export function subscribeReleaseStatus(onStatus, onError) {
+  const state = Object.fromEntries(
+    STAGED_COLLECTIONS.map((name) => [name, { draft: null, released: null, release: null }])
+  );
+
+  const emit = () => {
+    const ready = Object.values(state).every((s) => s.draft && s.released && s.release);
+    if (!ready) return;
+    const collections = {};
+    let changeCount = 0;
+    for (const [name, s] of Object.entries(state)) {
+      const published = s.release.exists();
+      const diff = diffCollection(s.draft.docs, s.released.docs);
+      // never published: the live page still reads the draft itself
+      if (!published) Object.assign(diff, { added: [], removed: [], changed: [] });
+      collections[name] = {
+        published,
+        publishedAt: s.release.data()?.publishedAt ?? null,
+        ...diff,
+      };
+      changeCount += diff.added.length + diff.removed.length + diff.changed.length;
+    }
+    onStatus({ collections, changeCount });
+  };
+
+  const track = (name, key) => (snap) => {
+    state[name][key] = snap;
+    emit();
+  };
+  const unsubs = STAGED_COLLECTIONS.flatMap((name) => [
+    onSnapshot(collection(db, name), track(name, "draft"), onError),
+    onSnapshot(collection(db, releaseItemsPath(name)), track(name, "released"), onError),
+    onSnapshot(doc(db, RELEASES, name), track(name, "release"), onError),
+  ]);
+  return () => unsubs.forEach((u) => u());
+}
+
+/**
+ * Promote every staged collection to live in one atomic batch, then delete
+ * the Storage folders of items the release no longer contains (unless they
+ * sit in the trash, where they can still be restored) and the earlier file
+ * generations of items that were replaced or rotated since.
+ * Resolves with { published, removed } item counts.
+ */
+export async function publishHome() {
+  const batch = writeBatch(db);
+  const removedFolders = [];
+  const stale = [];
+  let published = 0;
+
+  for (const name of STAGED_COLLECTIONS) {
+    const [draft, released, trashed] = await Promise.all([
+      getDocs(collection(db, name)),
+      getDocs(collection(db, releaseItemsPath(name))),
+      trashedDocs(name),
+    ]);
+    const draftIds = new Set(draft.docs.map((d) => d.id));
+    const previous = new Map(released.docs.map((d) => [d.id, d.data()]));
+    for (const d of draft.docs) {
+      batch.set(doc(db, releaseItemsPath(name), d.id), d.data());
+      const kept = new Set(mediaFilePaths(d.data()));
+      stale.push(...mediaFilePaths(previous.get(d.id)).filter((path) => !kept.has(path)));
+    }
+    for (const d of released.docs.filter((x) => !draftIds.has(x.id))) {
+      batch.delete(d.ref);
+      if (!trashed.has(d.id)) removedFolders.push(mediaFolder(name, d.id));
+    }
+    batch.set(doc(db, RELEASES, name), {
+      publishedAt: serverTimestamp(),
+      itemCount: draft.size,
+    });
+    published += draft.size;
+  }
+  await batch.commit();
+
+  // leftovers are reported by the Storage health page, so don't fail the publish
+  await Promise.all(
+    removedFolders.map((path) =>
+      deleteFolder(path).catch((err) => console.warn(`Could not delete ${path}:`, err))
+    )
+  );
+  await deleteFiles(stale);
+  return { published, removed: removedFolders.length };
+}
@@ -0,0 +1,959 @@
+import { db, storage } from "./firebase";
+import {
+  collection,
+  doc,
+  getCountFromServer,
+  getDocs,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  writeBatch,
+} from "firebase/firestore";
+import {
+  deleteObject,
+  getBlob,
+  getDownloadURL,
+  getMetadata,
+  listAll,
+  ref,
+  uploadBytes,
+  uploadBytesResumable,
+} from "firebase/storage";
+import { readExif, stripLocation } from "./exif";
+import { normalizeRotation } from "./framing";
+
+/**
+ * Shared media library used by every admin gallery (carousel, masonry, …).
+ *
+ * Every collection stores the same document shape:
+ *   {
+ *     index,                      // 1-based display order
+ *     fileName,                   // name of the uploaded file, e.g. "DSC_0412.jpg"
+ *     originalPath, optimizedPath,
+ *     originalURL,  optimizedURL,
+ *     renditions: [{ format, width, height, path, url }],   // ascending width per format
+ *     width, height, aspectRatio,          // of the optimized image
+ *     originalWidth, originalHeight,
+ *     alt, caption, credit,                // editorial fields, optional
+ *     tags,                                // string[], optional
+ *     exif: { make, model, lens, focalLength, focalLength35, fNumber,
+ *             exposureTime, iso, capturedAt, orientation } | null,
+ *     rotation,                            // quarter turns applied to the original
+ *     framing,                             // crops and focal point, see lib/framing.js
+ *     mobile: { originalPath, originalURL, optimizedPath, optimizedURL,
+ *               renditions, width, height, aspectRatio } | null,
+ *                                          // optional art-directed image for phones
+ *     version,                             // file generation, see below
+ *     blurDataURL,
+ *     createdAt, updatedAt,
+ *   }
+ * and the same Storage layout: `{collectionPath}/{id}/original.jpg|optimized.jpg|w{width}.{jpg,webp,avif}`,
+ * with the mobile variant's files laid out the same way under `{id}/mobile/`.
+ *
+ * Files are never overwritten: Replace, rotation and mobile images write a
+ * new generation under `{id}/v{version}/` (and `{id}/v{version}/mobile/`), so
+ * a published release (lib/homeRelease) keeps showing the files it points at.
+ * Those calls resolve with the paths the document stopped using; the caller
+ * deletes the ones no release still needs.
+ *
+ * JPEG renditions are always present; WebP/AVIF ones only when the uploading
+ * browser can encode them.
+ *
+ * Location data is stripped from uploaded originals unless `keepLocation`
+ * is passed, and EXIF orientation is baked into every re-encoded image.
+ * `rotation` is baked in too, but the original is kept as uploaded so it can
+ * always be undone.
+ */
+
+/* -------------------- image tuning -------------------- */
+export const OPT_MAX_DIM = 2400;
+export const OPT_QUALITY = 0.9;
+// Originals re-encoded only to drop their metadata.
+const ORIGINAL_QUALITY = 0.95;
+const TINY_DIM = 20;
+
+// Widths (px) of the smaller renditions served through srcset. The optimized
+// image is always the largest rendition.
+export const RENDITION_WIDTHS = [480, 960, 1600];
+
+// Modern formats encoded next to every JPEG rendition, when supported.
+const MODERN_FORMATS = [
+  { format: "avif", type: "image/avif", ext: "avif", quality: 0.6 },
+  { format: "webp", type: "image/webp", ext: "webp", quality: 0.85 },
+];
+
+function shouldSkipOptimization(file, imgWidth, imgHeight, orientation = 1) {
+  const longest = Math.max(imgWidth, imgHeight);
+  return (
+    file?.type === "image/jpeg" &&
+    orientation === 1 &&
+    longest <= 2200 &&
+    file.size <= 2.5 * 1024 * 1024
+  );
+}
+
+/* ---------- image helpers ---------- */
+async function fileToImageBitmap(file) {
+  // decoded upright, so rotated phone shots are drawn the right way round
+  return await createImageBitmap(file, { imageOrientation: "from-image" });
+}
+
+/** `img` turned clockwise by `rotation` degrees (a multiple of 90). */
+async function rotateBitmap(img, rotation) {
+  if (!rotation) return img;
+  const quarter = rotation % 180 !== 0;
+  const canvas = document.createElement("canvas");
+  canvas.width = quarter ? img.height : img.width;
+  canvas.height = quarter ? img.width : img.height;
+  const ctx = canvas.getContext("2d");
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(img, -img.width / 2, -img.height / 2);
+  return await createImageBitmap(canvas);
+}
+
+/**
+ * EXIF of `file` plus the file to upload as the original. Unless
+ * `keepLocation`, JPEGs lose their GPS tags and XMP packet, PNG and WebP
+ * files their EXIF and XMP chunks, and anything else (HEIC, TIFF, …) is
+ * re-encoded as a full-size JPEG, which carries no metadata at all.
+ */
+async function prepareOriginal(file, { keepLocation = false } = {}) {
+  const buffer = await file.arrayBuffer();
+  const exif = file.type === "image/jpeg" ? readExif(buffer) : null;
+  if (keepLocation) return { file, exif };
+  const stripped = stripLocation(buffer);
+  const clean = stripped
+    ? new File([stripped], file.name, { type: file.type, lastModified: file.lastModified })
+    : await reencodeOriginal(file);
+  return { file: clean, exif };
+}
+
+async function reencodeOriginal(file) {
+  const img = await fileToImageBitmap(file);
+  const canvas = drawToCanvas(img, Math.max(img.width, img.height), ORIGINAL_QUALITY);
+  const name = file.name.replace(/\.[^.]*$/, "") + ".jpg";
+  return new File([await canvas.toBlob()], name, {
+    type: "image/jpeg",
+    lastModified: file.lastModified,
+  });
+}
+
+function drawToCanvas(imgBitmap, maxDim, quality = OPT_QUALITY, { byWidth = false } = {}) {
+  const { width, height } = imgBitmap;
+  const scale = Math.min(1, maxDim / (byWidth ? width : Math.max(width, height)));
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(imgBitmap, 0, 0, w, h);
+  return {
+    width: w,
+    height: h,
+    toBlob: (type = "image/jpeg", q = quality) =>
+      new Promise((res) => canvas.toBlob(res, type, q)),
+  };
+}
+
+/* Browsers silently fall back to PNG for types they can't encode. */
+const encodeSupport = {};
+function canEncode(type) {
+  if (!encodeSupport[type]) {
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = 1;
+    encodeSupport[type] = new Promise((res) =>
+      canvas.toBlob((blob) => res(blob?.type === type), type)
+    );
+  }
+  return encodeSupport[type];
+}
+
+async function supportedModernFormats() {
+  const ok = await Promise.all(MODERN_FORMATS.map((f) => canEncode(f.type)));
+  return MODERN_FORMATS.filter((_, i) => ok[i]);
+}
+
+/** Encode `canvas` in every supported modern format. */
+async function encodeModern(canvas, formats) {
+  const out = [];
+  for (const f of formats) {
+    const blob = await canvas.toBlob(f.type, f.quality);
+    if (blob) out.push({ format: f.format, ext: f.ext, type: f.type, blob });
+  }
+  return out;
+}
+
+function blobToDataURL(blob) {
+  return new Promise((res) => {
+    const reader = new FileReader();
+    reader.onload = () => res(reader.result);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Produce the optimized image, the smaller srcset renditions (JPEG plus any
+ * supported modern format) and the tiny blur placeholder for `file`, turned
+ * by `rotation` degrees.
+ */
+export async function makeOptimizedAndBlur(file, { orientation, rotation = 0 } = {}) {
+  const img = await rotateBitmap(await fileToImageBitmap(file), rotation);
+  const formats = await supportedModernFormats();
+  let optimizedBlob;
+  const optimized = drawToCanvas(img, OPT_MAX_DIM, OPT_QUALITY);
+  if (!rotation && shouldSkipOptimization(file, img.width, img.height, orientation)) {
+    optimizedBlob = file;
+  } else {
+    optimizedBlob = await optimized.toBlob();
+  }
+
+  const renditions = [];
+  for (const width of RENDITION_WIDTHS) {
+    if (width >= optimized.width) break;
+    const r = drawToCanvas(img, width, OPT_QUALITY, { byWidth: true });
+    const size = { width: r.width, height: r.height };
+    renditions.push({ ...size, format: "jpeg", ext: "jpg", type: "image/jpeg", blob: await r.toBlob() });
+    for (const m of await encodeModern(r, formats)) renditions.push({ ...size, ...m });
+  }
+  const optimizedSize = { width: optimized.width, height: optimized.height };
+  for (const m of await encodeModern(optimized, formats)) {
+    renditions.push({ ...optimizedSize, ...m });
+  }
+
+  const tiny = drawToCanvas(img, TINY_DIM, 0.7);
+  const blurDataURL = await blobToDataURL(await tiny.toBlob());
+  return {
+    optimizedBlob,
+    optimizedSize,
+    originalSize: { width: img.width, height: img.height },
+    renditions,
+    blurDataURL,
+  };
+}
+
+/** Dimension fields of a media document. */
+function dimensionFields(optimizedSize, originalSize) {
+  return {
+    width: optimizedSize.width,
+    height: optimizedSize.height,
+    aspectRatio: optimizedSize.width / optimizedSize.height,
+    originalWidth: originalSize.width,
+    originalHeight: originalSize.height,
+  };
+}
+
+/* ---------- storage helpers ---------- */
+export function mediaFolder(collectionPath, id) {
+  return `${collectionPath}/${id}`;
+}
+
+export function makeMediaId() {
+  return (crypto?.randomUUID?.() || `${Date.now()}-${Math.random()}`)
+    .toString()
+    .replace(/-/g, "");
+}
+
+/** Delete one Storage object; one that is already gone counts as deleted. */
+export async function deleteObjectIfExists(objectRef) {
+  try {
+    await deleteObject(objectRef);
+  } catch (err) {
+    if (err?.code !== "storage/object-not-found") throw err;
+  }
+}
+
+/**
+ * Delete a Storage folder recursively. Every object is attempted; if any
+ * could not be deleted the promise rejects afterwards.
+ */
+export async function deleteFolder(path) {
+  const folderRef = ref(storage, path);
+  const { items, prefixes } = await listAll(folderRef);
+  const results = await Promise.allSettled([
+    ...items.map(deleteObjectIfExists),
+    ...prefixes.map((p) => deleteFolder(p.fullPath)),
+  ]);
+  const failed = results.filter((r) => r.status === "rejected");
+  if (failed.length) {
+    throw new Error(`Could not delete everything under ${path}`, { cause: failed[0].reason });
+  }
+}
+
+/** Every Storage path a media document points at, mobile variant included. */
+export function mediaFilePaths(data) {
+  return [
+    data?.originalPath,
+    data?.optimizedPath,
+    ...(data?.renditions || []).map((r) => r.path),
+    data?.mobile?.originalPath,
+    data?.mobile?.optimizedPath,
+    ...(data?.mobile?.renditions || []).map((r) => r.path),
+  ].filter(Boolean);
+}
+
+/** Paths `previous` points at that `next` no longer does. */
+function stalePaths(previous, next) {
+  const kept = new Set(mediaFilePaths(next));
+  return mediaFilePaths(previous).filter((path) => !kept.has(path));
+}
+
+/**
+ * Delete the objects at `paths`. Leftovers are reported by the Storage
+ * health page, so a failure is logged and never fails the caller.
+ */
+export async function deleteFiles(paths) {
+  await Promise.all(
+    paths.map((path) =>
+      deleteObjectIfExists(ref(storage, path)).catch((err) =>
+        console.warn(`Could not delete ${path}:`, err)
+      )
+    )
+  );
+}
+
+/** The folder and number of the next file generation of `item`. */
+function nextVersion(collectionPath, item) {
+  const version = (item?.version || 0) + 1;
+  return { version, folder: `${mediaFolder(collectionPath, item.id)}/v${version}` };
+}
+
+/**
+ * Upload one blob and report byte deltas through `onProgress(delta)`.
+ * Aborting `signal` cancels the underlying UploadTask.
+ * Resolves with the object's download URL.
+ */
+function uploadWithProgress(path, blob, contentType, onProgress, signal) {
+  const objectRef = ref(storage, path);
+  const task = uploadBytesResumable(objectRef, blob, { contentType });
+  const onAbort = () => task.cancel();
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+  let prev = 0;
+  return new Promise((res, rej) =>
+    task.on(
+      "state_changed",
+      (snap) => {
+        const delta = snap.bytesTransferred - prev;
+        prev = snap.bytesTransferred;
+        onProgress?.(delta);
+      },
+      rej,
+      res
+    )
+  )
+    .finally(() => signal?.removeEventListener("abort", onAbort))
+    .then(() => getDownloadURL(objectRef));
+}
+
+/**
+ * Upload `original` (when given), the optimized image and the renditions made
+ * by makeOptimizedAndBlur into `folder`. One failed object cancels its
+ * siblings, and nothing resolves until every task has stopped, so callers can
+ * clean up the folder afterwards.
+ *
+ * Resolves with { originalPath, originalURL, optimizedPath, optimizedURL,
+ * renditions } (the original's fields only when it was uploaded).
+ */
+async function uploadVariants({ folder, original, variants, onProgress, signal }) {
+  const { optimizedBlob, optimizedSize, renditions } = variants;
+  const originalPath = `${folder}/original.jpg`;
+  const optimizedPath = `${folder}/optimized.jpg`;
+  const sized = renditions.map((r) => ({ ...r, path: `${folder}/w${r.width}.${r.ext}` }));
+
+  const totalBytes =
+    (original?.size ?? 0) +
+    (optimizedBlob?.size ?? 0) +
+    sized.reduce((sum, r) => sum + (r.blob?.size ?? 0), 0);
+  onProgress?.({ type: "start", totalBytes });
+  const bump = (delta) => onProgress?.({ type: "progress", delta });
+
+  const uploads = new AbortController();
+  const stopAll = () => uploads.abort();
+  signal?.addEventListener("abort", stopAll, { once: true });
+  let firstError = null;
+  const upload = (path, blob, type) =>
+    uploadWithProgress(path, blob, type, bump, uploads.signal).catch((err) => {
+      firstError ??= err;
+      stopAll();
+      throw err;
+    });
+
+  try {
+    const settled = await Promise.allSettled([
+      upload(optimizedPath, optimizedBlob, "image/jpeg"),
+      ...sized.map((r) => upload(r.path, r.blob, r.type)),
+      ...(original ? [upload(originalPath, original, original.type || "image/jpeg")] : []),
+    ]);
+    if (firstError) throw firstError;
+    const [optimizedURL, ...rest] = settled.map((r) => r.value);
+    const renditionURLs = rest.slice(0, sized.length);
+    return {
+      ...(original && { originalPath, originalURL: rest[sized.length] }),
+      optimizedPath,
+      optimizedURL,
+      renditions: [
+        ...sized.map((r, i) => ({
+          format: r.format,
+          width: r.width,
+          height: r.height,
+          path: r.path,
+          url: renditionURLs[i],
+        })),
+        { format: "jpeg", ...optimizedSize, path: optimizedPath, url: optimizedURL },
+      ].sort((a, b) => a.width - b.width),
+    };
+  } finally {
+    signal?.removeEventListener("abort", stopAll);
+    onProgress?.({ type: "done" });
+  }
+}
+
+/**
+ * Build the optimized, rendition and blur variants of `file` and upload them
+ * with the original into `folder` (by default `{collectionPath}/{id}/`).
+ *
+ * Progress events:
+ *   onProgress({ type: "start", totalBytes })
+ *   onProgress({ type: "progress", delta })
+ *   onProgress({ type: "done" })
+ *
+ * Aborting `signal` cancels the uploads still in flight.
+ *
+ * Resolves with the Storage and EXIF fields of the media document.
+ */
+export async function uploadMediaFiles({
+  collectionPath,
+  id,
+  file,
+  onProgress,
+  signal,
+  keepLocation = false,
+  folder = mediaFolder(collectionPath, id),
+}) {
+  const { file: original, exif } = await prepareOriginal(file, { keepLocation });
+  const variants = await makeOptimizedAndBlur(original, { orientation: exif?.orientation });
+  signal?.throwIfAborted();
+  const paths = await uploadVariants({
+    folder,
+    original,
+    variants,
+    onProgress,
+    signal,
+  });
+  return {
+    fileName: file.name || "",
+    ...paths,
+    blurDataURL: variants.blurDataURL,
+    ...dimensionFields(variants.optimizedSize, variants.originalSize),
+    exif,
+    rotation: 0,
+  };
+}
+
+/* ---------- firestore ---------- */
+
+/**
+ * Realtime, index-ordered listener for a media collection. `onItems` also gets
+ * `{ hasPendingWrites }`, true while the snapshot includes this tab's own
+ * unsaved writes. Returns unsubscribe.
+ */
+export function subscribeMedia(collectionPath, { max } = {}, onItems, onError) {
+  const constraints = [orderBy("index", "asc")];
+  if (max) constraints.push(limit(max));
+  const q = query(collection(db, collectionPath), ...constraints);
+  return onSnapshot(
+    q,
+    (snap) =>
+      onItems(
+        snap.docs.map((d) => ({ id: d.id, ...d.data() })),
+        { hasPendingWrites: snap.metadata.hasPendingWrites }
+      ),
+    onError
+  );
+}
+
+/** How many items `collectionPath` holds, without downloading them. */
+export async function countMediaItems(collectionPath) {
+  const snap = await getCountFromServer(collection(db, collectionPath));
+  return snap.data().count;
+}
+
+/**
+ * Upload `file` as a new item at position `index`. Resolves with the new id.
+ * Pass the `id` of an earlier, interrupted attempt to reuse its folder.
+ * On failure or abort, whatever reached Storage is removed again.
+ */
+export async function createMediaItem({
+  collectionPath,
+  file,
+  index,
+  onProgress,
+  signal,
+  keepLocation,
+  id = makeMediaId(),
+}) {
+  try {
+    const fields = await uploadMediaFiles({
+      collectionPath,
+      id,
+      file,
+      onProgress,
+      signal,
+      keepLocation,
+    });
+    signal?.throwIfAborted();
+    await setDoc(doc(db, collectionPath, id), {
+      index,
+      ...fields,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    return id;
+  } catch (err) {
+    await deleteFolder(mediaFolder(collectionPath, id)).catch((cleanupErr) =>
+      console.warn("Leftover files after a failed upload:", cleanupErr)
+    );
+    throw err;
+  }
+}
+
+/**
+ * Upload `file` as the new image of an existing item, into its next file
+ * generation. On failure the new generation is removed again. Resolves with
+ * the paths of the replaced image (see the Storage layout above).
+ */
+export async function replaceMediaItem({
+  collectionPath,
+  id,
+  file,
+  previous,
+  onProgress,
+  keepLocation,
+}) {
+  const { version, folder } = nextVersion(collectionPath, { ...previous, id });
+  try {
+    const fields = await uploadMediaFiles({
+      collectionPath,
+      id,
+      file,
+      onProgress,
+      keepLocation,
+      folder,
+    });
+    // updateDoc replaces the `exif` map outright, and a new image drops the old
+    // framing; a merge would keep stale keys
+    await updateDoc(doc(db, collectionPath, id), {
+      ...fields,
+      version,
+      framing: null,
+      updatedAt: serverTimestamp(),
+    });
+    return stalePaths(previous, { ...previous, ...fields });
+  } catch (err) {
+    await deleteFolder(folder).catch((cleanupErr) =>
+      console.warn("Leftover files after a failed replace:", cleanupErr)
+    );
+    throw err;
+  }
+}
+
+/**
+ * Rebuild the optimized image and renditions of `item` from its stored
+ * original, turned `rotation` degrees clockwise from the original, into its
+ * next file generation. The original itself is left as it is. `fields` are
+ * saved in the same write. Resolves with the paths the item stopped using.
+ */
+export async function rotateMediaItem({ collectionPath, item, rotation, fields = {}, onProgress }) {
+  const turn = normalizeRotation(rotation);
+  const { version, folder } = nextVersion(collectionPath, item);
+  try {
+    const original = await getBlob(ref(storage, item.originalPath));
+    const variants = await makeOptimizedAndBlur(original, { rotation: turn });
+    const paths = await uploadVariants({ folder, variants, onProgress });
+    await updateDoc(doc(db, collectionPath, item.id), {
+      ...paths,
+      blurDataURL: variants.blurDataURL,
+      ...dimensionFields(variants.optimizedSize, variants.originalSize),
+      rotation: turn,
+      version,
+      ...fields,
+      updatedAt: serverTimestamp(),
+    });
+    return stalePaths(item, { ...item, ...paths });
+  } catch (err) {
+    await deleteFolder(folder).catch((cleanupErr) =>
+      console.warn("Leftover files after a failed rotation:", cleanupErr)
+    );
+    throw err;
+  }
+}
+
+/* ---------- mobile variant ---------- */
+
+/**
+ * Upload `file` as the phone-sized art direction of `item`, replacing any
+ * earlier one, under `{id}/v{version}/mobile/`. Its original is stripped of
+ * location data like any upload. Resolves with the paths of the earlier one.
+ */
+export async function setMobileVariant({ collectionPath, item, file, onProgress, keepLocation }) {
+  const next = nextVersion(collectionPath, item);
+  const folder = `${next.folder}/mobile`;
+  try {
+    const { file: original, exif } = await prepareOriginal(file, { keepLocation });
+    const variants = await makeOptimizedAndBlur(original, { orientation: exif?.orientation });
+    const paths = await uploadVariants({ folder, original, variants, onProgress });
+    const { width, height, aspectRatio } = dimensionFields(
+      variants.optimizedSize,
+      variants.originalSize
+    );
+    const mobile = { ...paths, width, height, aspectRatio };
+    await updateDoc(doc(db, collectionPath, item.id), {
+      mobile,
+      version: next.version,
+      updatedAt: serverTimestamp(),
+    });
+    return stalePaths(item, { ...item, mobile });
+  } catch (err) {
+    await deleteFolder(folder).catch((cleanupErr) =>
+      console.warn("Leftover mobile variant files:", cleanupErr)
+    );
+    throw err;
+  }
+}
+
+/**
+ * Drop the mobile variant of `item`; the desktop image is used everywhere
+ * again. Resolves with the paths of the mobile files.
+ */
+export async function removeMobileVariant(collectionPath, item) {
+  await updateDoc(doc(db, collectionPath, item.id), {
+    mobile: null,
+    updatedAt: serverTimestamp(),
+  });
+  return stalePaths(item, { ...item, mobile: null });
+}
+
+/** Editorial fields an admin may edit on any item. */
+export const DETAIL_FIELDS = ["alt", "caption", "credit"];
+
+/** Merge editable fields (alt text, caption, credit, …) into an item. */
+export async function updateMediaItem(collectionPath, id, fields) {
+  await setDoc(
+    doc(db, collectionPath, id),
+    { ...fields, updatedAt: serverTimestamp() },
+    { merge: true }
+  );
+}
+
+/* ---------- batched writes ---------- */
+
+// Firestore allows 500 writes per batch; leave headroom.
+export const BATCH_LIMIT = 450;
+
+/**
+ * Commit `groups` of writes (each a list of `(batch) => void`) in as few
+ * batches as possible. A group is never split across batches, so the writes
+ * for one item land together or not at all; a list that fits one batch
+ * (every Masonry-sized collection does) is applied atomically.
+ */
+export async function commitInChunks(groups) {
+  const chunks = [];
+  let current = [];
+  for (const group of groups.filter((g) => g.length)) {
+    if (current.length && current.length + group.length > BATCH_LIMIT) {
+      chunks.push(current);
+      current = [];
+    }
+    current.push(...group);
+  }
+  if (current.length) chunks.push(current);
+  for (const writes of chunks) {
+    const batch = writeBatch(db);
+    writes.forEach((write) => write(batch));
+    await batch.commit();
+  }
+}
+
+/** True when the ids both lists contain appear in the same order in each. */
+export function sameOrder(idsA, idsB) {
+  const inA = new Set(idsA);
+  const inB = new Set(idsB);
+  const a = idsA.filter((id) => inB.has(id));
+  const b = idsB.filter((id) => inA.has(id));
+  return a.every((id, i) => id === b[i]);
+}
+
+const byStoredOrder = (a, b) => (a.index || 0) - (b.index || 0) || a.id.localeCompare(b.id);
+
+/**
+ * Reorder a collection in a transaction. `change(items)` receives the items
+ * in their stored order and returns them in the new one (see moveItem,
+ * moveItemTo, moveBlockTo). When someone else reorders at the same time,
+ * Firestore runs `change` again on their result, so both moves survive
+ * instead of the last full rewrite winning. Indices are written 1…n, which
+ * also repairs duplicates and gaps left by older writes.
+ *
+ * Resolves with { conflict }: true when the stored order was no longer
+ * `expectedIds`, the order the admin was looking at.
+ */
+export async function reorderMediaItems(collectionPath, change, { expectedIds = [] } = {}) {
+  const listed = await getDocs(collection(db, collectionPath));
+  return await runTransaction(db, async (tx) => {
+    const snaps = await Promise.all(listed.docs.map((d) => tx.get(d.ref)));
+    const current = snaps
+      .filter((d) => d.exists())
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .sort(byStoredOrder);
+    change(current).forEach((x, i) => {
+      const stored = current.find((c) => c.id === x.id);
+      if (stored && stored.index !== i + 1) {
+        tx.update(doc(db, collectionPath, x.id), { index: i + 1, updatedAt: serverTimestamp() });
+      }
+    });
+    return { conflict: !sameOrder(expectedIds, current.map((x) => x.id)) };
+  });
+}
+
+/** Merge `fields` (or `fields(id)`, per item) into every item in `ids`. */
+export async function updateMediaItems(collectionPath, ids, fields) {
+  await commitInChunks(
+    ids.map((id) => [
+      (batch) =>
+        batch.set(
+          doc(db, collectionPath, id),
+          { ...(typeof fields === "function" ? fields(id) : fields), updatedAt: serverTimestamp() },
+          { merge: true }
+        ),
+    ])
+  );
+}
+
+/** Copy one Storage object; resolves with the copy's download URL. */
+async function copyObject(fromPath, toPath) {
+  const blob = await getBlob(ref(storage, fromPath));
+  const target = ref(storage, toPath);
+  await uploadBytes(target, blob, { contentType: blob.type || "image/jpeg" });
+  return await getDownloadURL(target);
+}
+
+/** Copy every file of `item` from `fromFolder` to `toFolder`; resolves with its new path fields. */
+async function copyMediaFiles(item, fromFolder, toFolder) {
+  const copies = new Map();
+  const copy = (path) => {
+    if (!path?.startsWith(`${fromFolder}/`)) return null;
+    if (!copies.has(path)) {
+      const to = `${toFolder}${path.slice(fromFolder.length)}`;
+      copies.set(path, copyObject(path, to).then((url) => ({ path: to, url })));
+    }
+    return copies.get(path);
+  };
+  const moveFiles = async (files) => {
+    if (!files) return files;
+    const [original, optimized, renditions] = await Promise.all([
+      copy(files.originalPath),
+      copy(files.optimizedPath),
+      Promise.all((files.renditions || []).map((r) => copy(r.path))),
+    ]);
+    return {
+      ...files,
+      ...(original && { originalPath: original.path, originalURL: original.url }),
+      ...(optimized && { optimizedPath: optimized.path, optimizedURL: optimized.url }),
+      renditions: (files.renditions || []).map((r, i) =>
+        renditions[i] ? { ...r, path: renditions[i].path, url: renditions[i].url } : r
+      ),
+    };
+  };
+  const [files, mobile] = await Promise.all([moveFiles(item), moveFiles(item.mobile)]);
+  const { originalPath, originalURL, optimizedPath, optimizedURL, renditions } = files;
+  return {
+    originalPath,
+    originalURL,
+    optimizedPath,
+    optimizedURL,
+    renditions,
+    mobile: mobile ?? null,
+  };
+}
+
+/**
+ * Move `items` out of `from` into the collection `to`, after its last item.
+ * Files are copied first; the documents are then written, deleted and both
+ * collections reindexed in one set of batches. If copying fails nothing is
+ * written and the copies are removed again.
+ *
+ * The old Storage folders are left to the caller, which knows whether a
+ * published release still shows them. Resolves with their paths.
+ */
+export async function moveMediaItems({ from, to, items }) {
+  const [source, target] = await Promise.all([
+    getDocs(query(collection(db, from), orderBy("index", "asc"))),
+    getDocs(collection(db, to)),
+  ]);
+  const ids = new Set(items.map((x) => x.id));
+  const copied = [];
+  const moved = [];
+  try {
+    // one item at a time, so a large selection doesn't open hundreds of uploads
+    for (const item of items) {
+      const folder = mediaFolder(to, item.id);
+      copied.push(folder);
+      moved.push({ item, files: await copyMediaFiles(item, mediaFolder(from, item.id), folder) });
+    }
+  } catch (err) {
+    await Promise.all(
+      copied.map((folder) =>
+        deleteFolder(folder).catch((cleanupErr) =>
+          console.warn(`Leftover files in ${folder}:`, cleanupErr)
+        )
+      )
+    );
+    throw err;
+  }
+
+  const remaining = source.docs.filter((d) => !ids.has(d.id));
+  await commitInChunks([
+    ...moved.map(({ item, files }, i) => {
+      const { id, ...data } = item;
+      return [
+        (batch) =>
+          batch.set(doc(db, to, id), {
+            ...data,
+            ...files,
+            index: target.size + i + 1,
+            updatedAt: serverTimestamp(),
+          }),
+        (batch) => batch.delete(doc(db, from, id)),
+      ];
+    }),
+    ...remaining.map((d, i) =>
+      d.data().index === i + 1
+        ? []
+        : [(batch) => batch.update(d.ref, { index: i + 1, updatedAt: serverTimestamp() })]
+    ),
+  ]);
+  return items.map((x) => mediaFolder(from, x.id));
+}
+
+/* ---------- dimension backfill ---------- */
+
+/** Natural size of the image at `url` (no CORS needed just to measure). */
+function measureImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.addEventListener("load", () =>
+      resolve({ width: img.naturalWidth, height: img.naturalHeight })
+    );
+    img.addEventListener("error", reject);
+    img.src = url;
+  });
+}
+
+/** True when `item` predates dimension recording. */
+export function needsDimensions(item) {
+  return !(item.width && item.height && item.aspectRatio && item.originalWidth);
+}
+
+/**
+ * One-off: fill in width/height/aspectRatio/originalWidth/originalHeight on
+ * every document of `collectionPath` uploaded before they were recorded.
+ * Resolves with { updated, failed }.
+ */
+export async function backfillDimensions(collectionPath) {
+  const snap = await getDocs(collection(db, collectionPath));
+  const stale = snap.docs.filter((d) => needsDimensions(d.data()));
+  let updated = 0;
+  let failed = 0;
+  for (const d of stale) {
+    const data = d.data();
+    try {
+      const [optimizedSize, originalSize] = await Promise.all([
+        measureImage(data.optimizedURL),
+        measureImage(data.originalURL),
+      ]);
+      await setDoc(
+        d.ref,
+        { ...dimensionFields(optimizedSize, originalSize), updatedAt: serverTimestamp() },
+        { merge: true }
+      );
+      updated++;
+    } catch (err) {
+      console.error(`Backfill failed for ${collectionPath}/${d.id}:`, err);
+      failed++;
+    }
+  }
+  return { updated, failed };
+}
+
+/**
+ * Move the item `id` to 1-based `position` (clamped to the list); returns the
+ * reindexed list.
+ */
+export function moveItemTo(items, id, position) {
+  const current = [...items];
+  const from = current.findIndex((i) => i.id === id);
+  if (from < 0) return items;
+  const to = Math.min(Math.max(1, Math.round(position) || 1), items.length);
+  const [moved] = current.splice(from, 1);
+  current.splice(to - 1, 0, moved);
+  return current.map((x, i) => ({ ...x, index: i + 1 }));
+}
+
+/**
+ * Move the items in `ids` together, in their current order, so the first of
+ * them lands at 1-based `position`; returns the reindexed list.
+ */
+export function moveBlockTo(items, ids, position) {
+  const picked = new Set(ids);
+  const block = items.filter((x) => picked.has(x.id));
+  const rest = items.filter((x) => !picked.has(x.id));
+  const at = Math.min(Math.max(1, Math.round(position) || 1), rest.length + 1) - 1;
+  return [...rest.slice(0, at), ...block, ...rest.slice(at)].map((x, i) => ({
+    ...x,
+    index: i + 1,
+  }));
+}
+
+/** Move the item `fromId` to the position of `toId`; returns the reindexed list. */
+export function moveItem(items, fromId, toId) {
+  const to = items.findIndex((i) => i.id === toId);
+  return to < 0 ? items : moveItemTo(items, fromId, to + 1);
+}
+
+/* ---------- orphaned folders ---------- */
+
+/** Folders younger than this may belong to an upload still running in another tab. */
+export const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Storage folders under `collectionPath` that have no Firestore document,
+ * e.g. left behind by an upload interrupted by a reload. Ids in `keep`
+ * (uploads still pending here) and folders newer than ORPHAN_MIN_AGE_MS are
+ * skipped. Resolves with [{ id, path, updated }].
+ */
+export async function findOrphanFolders(collectionPath, { keep = [] } = {}) {
+  const [listing, snap] = await Promise.all([
+    listAll(ref(storage, collectionPath)),
+    getDocs(collection(db, collectionPath)),
+  ]);
+  const known = new Set([...snap.docs.map((d) => d.id), ...keep]);
+  const candidates = listing.prefixes.filter((p) => !known.has(p.name));
+
+  const orphans = await Promise.all(
+    candidates.map(async (folderRef) => {
+      const { items } = await listAll(folderRef);
+      const times = await Promise.all(
+        items.map((it) => getMetadata(it).then((m) => Date.parse(m.updated)))
+      );
+      const updated = times.length ? Math.max(...times) : 0;
+      return { id: folderRef.name, path: folderRef.fullPath, updated };
+    })
+  );
+  return orphans.filter((o) => Date.now() - o.updated >= ORPHAN_MIN_AGE_MS);
+}
@@ -0,0 +1,57 @@
+/**
+ * Uploads waiting to finish, persisted in IndexedDB together with their
+ * files so the admin uploaders can pick them up again after a reload.
+ *
+ *   media-uploads / pending   { id, collectionPath, mediaId, index, file, createdAt }
+ */
+
+const DB_NAME = "media-uploads";
+const DB_VERSION = 1;
+const STORE = "pending";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("collectionPath", "collectionPath");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function savePendingUpload(record) {
+  return withStore("readwrite", (store) => store.put({ ...record, createdAt: Date.now() }));
+}
+
+export function removePendingUpload(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
+
+/** Pending uploads of one collection, oldest first. */
+export async function listPendingUploads(collectionPath) {
+  const records = await withStore("readonly", (store) =>
+    store.index("collectionPath").getAll(collectionPath)
+  );
+  return (records || []).sort((a, b) => a.createdAt - b.createdAt);
+}
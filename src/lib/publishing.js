@@ -0,0 +1,71 @@
+import { Timestamp } from "firebase/firestore";
+import { endOfDayLocal, fmtYmd, parseYmdLocal } from "./dates";
+
+/**
+ * Scheduling for media-library items (see lib/mediaLibrary.js). An item may
+ * carry
+ *   draft        true while it should only show up in the admin
+ *   publishAt    Timestamp | null   hidden before this moment
+ *   unpublishAt  Timestamp | null   hidden from this moment on
+ * Items with none of these are live, as every item was before scheduling.
+ *
+ * The public pages filter with isPublished(); the documents themselves stay
+ * as readable as the rest of the collection.
+ */
+
+export const PUBLISH_STATES = {
+  draft: { label: "Draft", className: "bg-gray-100 text-gray-700" },
+  scheduled: { label: "Scheduled", className: "bg-amber-50 text-amber-700" },
+  live: { label: "Live", className: "bg-green-50 text-green-700" },
+  ended: { label: "Ended", className: "bg-red-50 text-red-700" },
+};
+
+export function toMillis(value) {
+  if (!value) return 0;
+  return value instanceof Timestamp ? value.toMillis() : new Date(value).getTime();
+}
+
+/** "draft" | "scheduled" | "live" | "ended" at `now`. */
+export function publishState(item, now = Date.now()) {
+  if (item?.draft) return "draft";
+  const from = toMillis(item?.publishAt);
+  const until = toMillis(item?.unpublishAt);
+  if (from && now < from) return "scheduled";
+  if (until && now >= until) return "ended";
+  return "live";
+}
+
+export function isPublished(item, now = Date.now()) {
+  return publishState(item, now) === "live";
+}
+
+/** The next moment after `now` at which one of `items` goes live or ends, or null. */
+export function nextScheduleChange(items, now = Date.now()) {
+  const upcoming = items
+    .filter((it) => !it.draft)
+    .flatMap((it) => [toMillis(it.publishAt), toMillis(it.unpublishAt)])
+    .filter((ms) => ms > now);
+  return upcoming.length ? Math.min(...upcoming) : null;
+}
+
+/** Timestamp → 'YYYY-MM-DD' for a date input ("" when unset). */
+export function scheduleYmd(value) {
+  const ms = toMillis(value);
+  return ms ? fmtYmd(new Date(ms)) : "";
+}
+
+/**
+ * Date-input values → schedule fields. A publish date starts at the
+ * beginning of its local day, an unpublish date at the end of its day.
+ */
+export function scheduleFields({ publishOn, unpublishOn }) {
+  return {
+    publishAt: publishOn ? Timestamp.fromDate(parseYmdLocal(publishOn)) : null,
+    unpublishAt: unpublishOn ? Timestamp.fromDate(endOfDayLocal(unpublishOn)) : null,
+  };
+}
+
+/** Fields that make an item live right away, without a schedule, or (`false`) a draft. */
+export function visibilityFields(publish) {
+  return publish ? { draft: false, publishAt: null, unpublishAt: null } : { draft: true };
+}
@@ -0,0 +1,68 @@
+import { objectPosition } from "./framing";
+
+/**
+ * Helpers for rendering the renditions stored by the media library
+ * (see lib/mediaLibrary.js) as responsive images.
+ */
+
+// <source> order matters: the browser takes the first type it supports.
+const SOURCE_TYPES = [
+  { format: "avif", type: "image/avif" },
+  { format: "webp", type: "image/webp" },
+];
+
+/**
+ * `renditions` of one format → "url 480w, url 960w, …" (undefined when there
+ * are none). Renditions written before formats existed count as JPEG.
+ */
+export function buildSrcSet(renditions, format = "jpeg") {
+  if (!Array.isArray(renditions) || !renditions.length) return undefined;
+  return renditions
+    .filter((r) => r?.url && r?.width && (r.format || "jpeg") === format)
+    .map((r) => `${r.url} ${r.width}w`)
+    .join(", ") || undefined;
+}
+
+/** Modern-format `<source>` entries for a <picture>: [{ type, srcSet }]. */
+export function buildSources(renditions) {
+  return SOURCE_TYPES.map(({ format, type }) => ({
+    type,
+    srcSet: buildSrcSet(renditions, format),
+  })).filter((s) => s.srcSet);
+}
+
+// Matches the `isMobile` breakpoint of the public components.
+export const MOBILE_MEDIA = "(max-width: 639px)";
+
+/**
+ * `<source>` entries for art direction: every format of `mobileRenditions`
+ * limited to `media`, ahead of the regular ones. Without mobile renditions
+ * this is just buildSources(renditions).
+ */
+export function buildArtDirectedSources(renditions, mobileRenditions, media = MOBILE_MEDIA) {
+  const mobile = [...SOURCE_TYPES, { format: "jpeg", type: "image/jpeg" }]
+    .map(({ format, type }) => ({ media, type, srcSet: buildSrcSet(mobileRenditions, format) }))
+    .filter((s) => s.srcSet);
+  return [...mobile, ...buildSources(renditions)];
+}
+
+/** Media-library document → the image shape the public galleries render. */
+export function toGalleryImage(id, data = {}) {
+  const { width, height } = data;
+  return {
+    id,
+    src: data.optimizedURL,
+    srcSet: buildSrcSet(data.renditions),
+    sources: buildSources(data.renditions),
+    blur: data.blurDataURL,
+    alt: data.alt || "Gallery image",
+    caption: data.caption || "",
+    credit: data.credit || "",
+    tags: data.tags || [],
+    width,
+    height,
+    aspectRatio: data.aspectRatio || (width && height ? width / height : undefined),
+    // keeps the focal point in view wherever the image is cropped to fit
+    objectPosition: objectPosition(data.framing),
+  };
+}
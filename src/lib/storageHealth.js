@@ -0,0 +1,340 @@
+import { db, storage } from "./firebase";
+import { collection, deleteDoc, doc, getDocs, setDoc, Timestamp } from "firebase/firestore";
+import { getMetadata, listAll, ref } from "firebase/storage";
+import { ALBUMS, albumImagesPath } from "./albums";
+import { CLIENT_GALLERIES, galleryImagesPath } from "./clientGalleries";
+import { isStaged, releaseItemsPath } from "./homeRelease";
+import {
+  deleteFolder,
+  deleteObjectIfExists,
+  mediaFilePaths,
+  ORPHAN_MIN_AGE_MS,
+} from "./mediaLibrary";
+import { INVITES, trashedDocs } from "./trash";
+
+/**
+ * Storage health: compares what is in Storage with what Firestore points at.
+ *
+ * A scan reports, per top-level prefix:
+ *   bytes, objectCount
+ *   orphans  [{ kind: "folder" | "object", path, bytes, reason, clear? }]
+ *            Storage data nothing refers to. `clear` ({ docPath, fields })
+ *            is merged into a document once the object is gone.
+ *   broken   [{ docPath, folder, missing: [paths], removable }]
+ *            documents pointing at objects that no longer exist. Items whose
+ *            original is gone can't be repaired and are `removable`.
+ *
+ * Prefixes the app doesn't know about are counted but never cleaned up.
+ */
+
+export const AVATARS = "avatars";
+const METADATA_CONCURRENCY = 8;
+
+/* ---------- listing ---------- */
+
+async function mapLimit(list, limit, fn) {
+  const out = new Array(list.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+  return out;
+}
+
+/** Size and last change of `refs`: Map(fullPath → { bytes, updated }). */
+async function describeObjects(refs) {
+  const meta = await mapLimit(refs, METADATA_CONCURRENCY, (r) => getMetadata(r));
+  return new Map(
+    refs.map((r, i) => [r.fullPath, { bytes: meta[i].size, updated: Date.parse(meta[i].updated) }])
+  );
+}
+
+/** Every object under `path`, described as above. */
+async function listObjects(path) {
+  const refs = [];
+  const walk = async (folderRef) => {
+    const { items, prefixes } = await listAll(folderRef);
+    refs.push(...items);
+    await Promise.all(prefixes.map(walk));
+  };
+  await walk(ref(storage, path));
+  return describeObjects(refs);
+}
+
+/** Objects under `prefix/`, grouped by the next path segment. */
+function groupBySegment(objects, prefix) {
+  const groups = new Map();
+  for (const [path, info] of objects) {
+    if (!path.startsWith(`${prefix}/`)) continue;
+    const segment = path.slice(prefix.length + 1).split("/")[0];
+    if (!groups.has(segment)) groups.set(segment, new Map());
+    groups.get(segment).set(path, info);
+  }
+  return groups;
+}
+
+const sumBytes = (objects) => [...objects.values()].reduce((sum, o) => sum + o.bytes, 0);
+
+// Objects written this recently may belong to an upload (or a replace,
+// rotation or mobile image) whose document isn't saved yet.
+const isSettledObject = (o) => Date.now() - o.updated >= ORPHAN_MIN_AGE_MS;
+const isSettled = (objects) => [...objects.values()].every(isSettledObject);
+
+async function docsById(path) {
+  const snap = await getDocs(collection(db, path));
+  return new Map(snap.docs.map((d) => [d.id, d.data()]));
+}
+
+/* ---------- checks ---------- */
+
+/** Media-library collection whose items live at `{collectionPath}/{id}/…`. */
+async function checkMediaCollection(collectionPath, objects, report) {
+  const [docs, released, trashed] = await Promise.all([
+    docsById(collectionPath),
+    // the published release still uses the files of items deleted from the draft
+    isStaged(collectionPath) ? docsById(releaseItemsPath(collectionPath)) : new Map(),
+    trashedDocs(collectionPath),
+  ]);
+  for (const [id, folderObjects] of groupBySegment(objects, collectionPath)) {
+    const folder = `${collectionPath}/${id}`;
+    const data = docs.get(id) ?? trashed.get(id);
+    const releasedData = released.get(id);
+    if (!data && !releasedData) {
+      if (!isSettled(folderObjects)) continue;
+      report.orphans.push({
+        kind: "folder",
+        path: folder,
+        bytes: sumBytes(folderObjects),
+        reason: "No matching document",
+      });
+      continue;
+    }
+    const referenced = new Set([
+      ...(data ? mediaFilePaths(data) : []),
+      ...(releasedData ? mediaFilePaths(releasedData) : []),
+    ]);
+    for (const [path, object] of folderObjects) {
+      if (!referenced.has(path) && isSettledObject(object)) {
+        report.orphans.push({
+          kind: "object",
+          path,
+          bytes: object.bytes,
+          reason: "Not used by its document",
+        });
+      }
+    }
+  }
+  for (const [id, data] of docs) {
+    const missing = mediaFilePaths(data).filter((p) => !objects.has(p));
+    if (missing.length) {
+      report.broken.push({
+        docPath: `${collectionPath}/${id}`,
+        folder: `${collectionPath}/${id}`,
+        missing,
+        removable: missing.includes(data.originalPath),
+      });
+    }
+  }
+}
+
+/** `{root}/{parentId}/…` trees such as albums/{albumId}/images/{id}/…. */
+async function checkNestedCollections(root, imagesPath, objects, report) {
+  const parents = await docsById(root);
+  for (const [parentId, parentObjects] of groupBySegment(objects, root)) {
+    if (!parents.has(parentId)) {
+      if (!isSettled(parentObjects)) continue;
+      report.orphans.push({
+        kind: "folder",
+        path: `${root}/${parentId}`,
+        bytes: sumBytes(parentObjects),
+        reason: "Parent document was deleted",
+      });
+      continue;
+    }
+    const path = imagesPath(parentId);
+    for (const [objectPath, { bytes }] of parentObjects) {
+      if (!objectPath.startsWith(`${path}/`)) {
+        report.orphans.push({ kind: "object", path: objectPath, bytes, reason: "Unexpected location" });
+      }
+    }
+    await checkMediaCollection(path, parentObjects, report);
+  }
+}
+
+function millis(value) {
+  if (!value) return 0;
+  return value instanceof Timestamp ? value.toMillis() : new Date(value).getTime();
+}
+
+/**
+ * avatars/{token}/avatar.jpg belongs to testimonialInvites/{token}. Avatars of
+ * deleted invites, and of invites that expired without a testimonial, are
+ * no longer shown anywhere.
+ */
+async function checkAvatars(objects, report) {
+  const [invites, testimonials, trashed] = await Promise.all([
+    docsById(INVITES),
+    docsById("testimonials"),
+    trashedDocs(INVITES),
+  ]);
+  for (const [token, folderObjects] of groupBySegment(objects, AVATARS)) {
+    // a trashed invite keeps its avatar until it is purged
+    if (trashed.has(token)) continue;
+    const invite = invites.get(token);
+    const bytes = sumBytes(folderObjects);
+    const path = `${AVATARS}/${token}`;
+    if (!invite) {
+      // an invite being created uploads its avatar before the document exists
+      if (isSettled(folderObjects)) {
+        report.orphans.push({ kind: "folder", path, bytes, reason: "No matching invite" });
+      }
+    } else if (!testimonials.has(token) && Date.now() >= millis(invite.expiresAt)) {
+      report.orphans.push({
+        kind: "folder",
+        path,
+        bytes,
+        reason: "Invite expired unused",
+        clear: { docPath: `testimonialInvites/${token}`, fields: { avatarUrl: "" } },
+      });
+    }
+  }
+  for (const [token, invite] of invites) {
+    const avatarPath = `${AVATARS}/${token}/avatar.jpg`;
+    if (invite.avatarUrl && !objects.has(avatarPath)) {
+      report.broken.push({
+        docPath: `testimonialInvites/${token}`,
+        folder: null,
+        missing: [avatarPath],
+        removable: false,
+      });
+    }
+  }
+}
+
+const SECTIONS = [
+  {
+    prefix: "gallery",
+    label: "Carousel",
+    check: (objects, report) => checkMediaCollection("gallery", objects, report),
+  },
+  {
+    prefix: "masonry",
+    label: "Masonry",
+    check: (objects, report) => checkMediaCollection("masonry", objects, report),
+  },
+  {
+    prefix: ALBUMS,
+    label: "Albums",
+    check: (objects, report) => checkNestedCollections(ALBUMS, albumImagesPath, objects, report),
+  },
+  {
+    prefix: CLIENT_GALLERIES,
+    label: "Client galleries",
+    check: (objects, report) =>
+      checkNestedCollections(CLIENT_GALLERIES, galleryImagesPath, objects, report),
+  },
+  { prefix: AVATARS, label: "Testimonial avatars", check: checkAvatars },
+];
+
+/* ---------- public API ---------- */
+
+/**
+ * Scan every top-level Storage prefix. `onProgress(label)` names the prefix
+ * being scanned. Resolves with { scannedAt, sections: [...] }.
+ */
+export async function scanStorage({ onProgress } = {}) {
+  const root = await listAll(ref(storage));
+  const known = new Map(SECTIONS.map((s) => [s.prefix, s]));
+  const prefixes = [
+    ...new Set([...SECTIONS.map((s) => s.prefix), ...root.prefixes.map((p) => p.name)]),
+  ];
+
+  const sections = [];
+  for (const prefix of prefixes) {
+    const section = known.get(prefix);
+    onProgress?.(section?.label || prefix);
+    const objects = await listObjects(prefix);
+    const report = {
+      prefix,
+      label: section?.label || prefix,
+      known: Boolean(section),
+      objectCount: objects.size,
+      bytes: sumBytes(objects),
+      orphans: [],
+      broken: [],
+    };
+    if (section) await section.check(objects, report);
+    sections.push(report);
+  }
+  if (root.items.length) {
+    sections.push({
+      prefix: "",
+      label: "(root files)",
+      known: false,
+      objectCount: root.items.length,
+      bytes: sumBytes(await describeObjects(root.items)),
+      orphans: [],
+      broken: [],
+    });
+  }
+  return { scannedAt: new Date(), sections };
+}
+
+/**
+ * What a cleanup of `report` would do, without doing it:
+ * { steps: [{ type, path, bytes, reason }], bytes }.
+ *   type "folder" | "object"  delete from Storage
+ *   type "document"           delete an unrepairable document and its folder
+ */
+export function planCleanup(report) {
+  const steps = [];
+  for (const section of report.sections) {
+    for (const o of section.orphans) {
+      steps.push({ type: o.kind, path: o.path, bytes: o.bytes, reason: o.reason, clear: o.clear });
+    }
+    for (const b of section.broken.filter((x) => x.removable)) {
+      steps.push({
+        type: "document",
+        path: b.docPath,
+        folder: b.folder,
+        bytes: 0,
+        reason: "Original image is missing",
+      });
+    }
+  }
+  return { steps, bytes: steps.reduce((sum, s) => sum + s.bytes, 0) };
+}
+
+async function runStep(step) {
+  if (step.type === "folder") await deleteFolder(step.path);
+  else if (step.type === "object") await deleteObjectIfExists(ref(storage, step.path));
+  else if (step.type === "document") {
+    if (step.folder) await deleteFolder(step.folder);
+    await deleteDoc(doc(db, step.path));
+  }
+  if (step.clear) await setDoc(doc(db, step.clear.docPath), step.clear.fields, { merge: true });
+}
+
+/**
+ * Carry out `plan`. Every step is attempted; resolves with
+ * { done, failed: [{ step, error }] }.
+ */
+export async function runCleanup(plan, { onProgress } = {}) {
+  let done = 0;
+  const failed = [];
+  for (const step of plan.steps) {
+    try {
+      await runStep(step);
+      done++;
+    } catch (error) {
+      console.error(`Cleanup of ${step.path} failed:`, error);
+      failed.push({ step, error });
+    }
+    onProgress?.({ done: done + failed.length, total: plan.steps.length });
+  }
+  return { done, failed };
+}
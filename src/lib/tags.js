@@ -0,0 +1,140 @@
+import { arrayRemove, arrayUnion } from "firebase/firestore";
+import CA_CITIES from "../data/ca_cities";
+
+/**
+ * Tags on media items: a `tags` string array on the document (see
+ * lib/mediaLibrary.js), stored trimmed and lower-case so "Napa" and "napa "
+ * are the same tag.
+ *
+ * Tags that belong to one of the TAG_FACETS are written "facet:value", e.g.
+ * "event:wedding" or "city:napa"; those are what the public filter bar
+ * offers. Any other tag is free-form and admin-only.
+ */
+
+export const TAG_FACETS = [
+  {
+    key: "event",
+    label: "Event",
+    options: ["Wedding", "Engagement", "Quinceañera", "Portrait", "Family", "Maternity", "Graduation"],
+  },
+  {
+    key: "venue",
+    label: "Venue",
+    options: ["Outdoor", "Indoor", "Beach", "Vineyard", "Garden", "Church", "Ballroom"],
+  },
+  { key: "season", label: "Season", options: ["Spring", "Summer", "Fall", "Winter"] },
+  { key: "city", label: "City", options: CA_CITIES },
+];
+
+const FACETS = new Map(TAG_FACETS.map((f) => [f.key, f]));
+
+const clean = (text = "") => text.trim().replace(/\s+/g, " ").toLowerCase();
+
+export function normalizeTag(tag = "") {
+  const colon = tag.indexOf(":");
+  if (colon <= 0) return clean(tag);
+  return `${clean(tag.slice(0, colon))}:${clean(tag.slice(colon + 1))}`;
+}
+
+/** "Wedding, outdoor,city:Napa" → ["wedding", "outdoor", "city:napa"], without duplicates. */
+export function parseTags(text = "") {
+  return [...new Set(text.split(",").map(normalizeTag).filter(Boolean))];
+}
+
+/** Merge fields that add `tags` to an item or, with `remove`, take them off. */
+export function tagFields(tags, { remove = false } = {}) {
+  return { tags: remove ? arrayRemove(...tags) : arrayUnion(...tags) };
+}
+
+/** ("city", "Napa") → "city:napa" */
+export function facetTag(facetKey, option) {
+  return `${facetKey}:${clean(option)}`;
+}
+
+/** "city:napa" → { facet: "city", value: "napa" }; null for free-form tags. */
+export function splitFacetTag(tag = "") {
+  const colon = tag.indexOf(":");
+  const facet = colon > 0 ? tag.slice(0, colon) : "";
+  return FACETS.has(facet) ? { facet, value: tag.slice(colon + 1) } : null;
+}
+
+/** How a tag reads to people: "city:napa" → "Napa". */
+export function tagLabel(tag) {
+  const parsed = splitFacetTag(tag);
+  if (!parsed) return tag;
+  const { options } = FACETS.get(parsed.facet);
+  return options.find((o) => clean(o) === parsed.value) ?? parsed.value;
+}
+
+/** The option of `facetKey` that `tags` holds, or "". */
+export function facetOption(tags = [], facetKey) {
+  const tag = tags.find((t) => splitFacetTag(t)?.facet === facetKey);
+  return tag ? tagLabel(tag) : "";
+}
+
+/** `tags` with `facetKey` set to `option`, or cleared when `option` is empty. */
+export function withFacetOption(tags = [], facetKey, option) {
+  const rest = tags.filter((t) => splitFacetTag(t)?.facet !== facetKey);
+  return option ? [...rest, facetTag(facetKey, option)] : rest;
+}
+
+/**
+ * `tags` plus `added`. Facets hold one option each, so a facet tag replaces
+ * whatever option of that facet `tags` had.
+ */
+export function withTags(tags = [], added) {
+  return added.reduce((acc, tag) => {
+    const facet = splitFacetTag(tag)?.facet;
+    if (facet) return [...acc.filter((t) => splitFacetTag(t)?.facet !== facet), tag];
+    return acc.includes(tag) ? acc : [...acc, tag];
+  }, tags);
+}
+
+/* ---------- public filtering ---------- */
+
+/**
+ * Selected filters from the query string, one repeated parameter per facet:
+ * `?event=wedding&city=napa&city=sonoma` → { event: ["event:wedding"], city: [...] }.
+ */
+export function filtersFromParams(searchParams) {
+  const filters = {};
+  for (const { key } of TAG_FACETS) {
+    const values = searchParams.getAll(key).map(clean).filter(Boolean);
+    if (values.length) filters[key] = values.map((v) => `${key}:${v}`);
+  }
+  return filters;
+}
+
+/** `searchParams` with the facet tag `tag` switched on or off; other parameters are kept. */
+export function toggleFilterParam(searchParams, tag) {
+  const { facet, value } = splitFacetTag(tag);
+  const next = new URLSearchParams(searchParams);
+  const values = next.getAll(facet);
+  next.delete(facet);
+  const kept = values.includes(value) ? values.filter((v) => v !== value) : [...values, value];
+  kept.forEach((v) => next.append(facet, v));
+  return next;
+}
+
+/** `searchParams` without any facet filter. */
+export function clearFilterParams(searchParams) {
+  const next = new URLSearchParams(searchParams);
+  TAG_FACETS.forEach(({ key }) => next.delete(key));
+  return next;
+}
+
+/** Any selected tag of a facet matches it; every filtered facet must match. */
+export function matchesFilters(tags = [], filters) {
+  return Object.values(filters).every((wanted) => wanted.some((tag) => tags.includes(tag)));
+}
+
+/** Facet tags used by `items`, in TAG_FACETS order: [{ facet, tags }]. */
+export function usedFacets(items) {
+  const used = new Set(items.flatMap((it) => it.tags || []));
+  return TAG_FACETS.map((facet) => ({
+    facet,
+    tags: [...used]
+      .filter((t) => splitFacetTag(t)?.facet === facet.key)
+      .sort((a, b) => tagLabel(a).localeCompare(tagLabel(b))),
+  })).filter((f) => f.tags.length);
+}
@@ -0,0 +1,221 @@
+import { db } from "./firebase";
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  Timestamp,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { ALBUMS, MAX_ALBUM_IMAGES } from "./albums";
+import { CLIENT_GALLERIES, MAX_GALLERY_IMAGES } from "./clientGalleries";
+import { addDays } from "./dates";
+import { getReleasedIds, MAX_CAROUSEL_IMAGES, MAX_MASONRY_IMAGES } from "./homeRelease";
+import { commitInChunks, deleteFolder, makeMediaId, mediaFolder } from "./mediaLibrary";
+import { toMillis } from "./publishing";
+
+/**
+ * Soft delete. Deleting a media item or a testimonial invite moves its
+ * document into
+ *   trash/{id}  { kind: "media" | "invite", collectionPath, docId, data,
+ *                 folder, deletedAt, purgeAt }
+ * and leaves its Storage `folder` alone. Restoring writes `data` back;
+ * purging (by hand, or once `purgeAt` has passed) deletes the folder and the
+ * trash entry for good.
+ */
+
+export const TRASH = "trash";
+export const TRASH_RETENTION_DAYS = 30;
+export const INVITES = "testimonialInvites";
+
+function entryFields({ kind, collectionPath, docId, data, folder }) {
+  return {
+    kind,
+    collectionPath,
+    docId,
+    data,
+    folder,
+    deletedAt: serverTimestamp(),
+    purgeAt: Timestamp.fromDate(addDays(new Date(), TRASH_RETENTION_DAYS)),
+  };
+}
+
+/** How many items `collectionPath` may hold, or 0 for no limit. */
+function collectionMax(collectionPath) {
+  if (collectionPath === "gallery") return MAX_CAROUSEL_IMAGES;
+  if (collectionPath === "masonry") return MAX_MASONRY_IMAGES;
+  if (collectionPath.startsWith(`${ALBUMS}/`)) return MAX_ALBUM_IMAGES;
+  if (collectionPath.startsWith(`${CLIENT_GALLERIES}/`)) return MAX_GALLERY_IMAGES;
+  return 0;
+}
+
+/** The album or client gallery a media collection belongs to, if any. */
+function parentRef(collectionPath) {
+  const [parent, id, sub] = collectionPath.split("/");
+  return sub ? doc(db, parent, id) : null;
+}
+
+/** Index-ordered documents of a media collection, without `skipId`. */
+async function orderedDocs(collectionPath, skipId) {
+  const snap = await getDocs(query(collection(db, collectionPath), orderBy("index", "asc")));
+  return snap.docs.filter((d) => d.id !== skipId);
+}
+
+/**
+ * Move `items` of a media collection to the trash and close the index gaps,
+ * batched so each item's trash entry and delete land together. Resolves with
+ * the trash entry ids, in the order of `items`.
+ */
+export async function trashMediaItems(collectionPath, items) {
+  const ids = new Set(items.map((x) => x.id));
+  const remaining = (await orderedDocs(collectionPath)).filter((d) => !ids.has(d.id));
+  const trashIds = items.map(() => makeMediaId());
+  await commitInChunks([
+    ...items.map(({ id, ...data }, i) => [
+      (batch) =>
+        batch.set(
+          doc(db, TRASH, trashIds[i]),
+          entryFields({
+            kind: "media",
+            collectionPath,
+            docId: id,
+            data,
+            folder: mediaFolder(collectionPath, id),
+          })
+        ),
+      (batch) => batch.delete(doc(db, collectionPath, id)),
+    ]),
+    ...remaining.map((d, i) =>
+      d.data().index === i + 1
+        ? []
+        : [(batch) => batch.update(d.ref, { index: i + 1, updatedAt: serverTimestamp() })]
+    ),
+  ]);
+  return trashIds;
+}
+
+/** Move one media item to the trash. Resolves with the trash entry id. */
+export async function trashMediaItem(collectionPath, item) {
+  const [trashId] = await trashMediaItems(collectionPath, [item]);
+  return trashId;
+}
+
+/** Move a testimonial invite (and, on purge, its avatar) to the trash. */
+export async function trashInvite(invite) {
+  const { id, ...data } = invite;
+  const trashId = makeMediaId();
+  const batch = writeBatch(db);
+  batch.set(
+    doc(db, TRASH, trashId),
+    entryFields({
+      kind: "invite",
+      collectionPath: INVITES,
+      docId: id,
+      data,
+      folder: `avatars/${id}`,
+    })
+  );
+  batch.delete(doc(db, INVITES, id));
+  await batch.commit();
+  return trashId;
+}
+
+/**
+ * Put an entry back where it was. Media items return to their old position
+ * (or the end, if the collection has shrunk since); they are refused when
+ * their album or client gallery is gone or their collection is full.
+ */
+export async function restoreFromTrash(entry) {
+  const batch = writeBatch(db);
+  const target = doc(db, entry.collectionPath, entry.docId);
+  if (entry.kind === "media") {
+    const parent = parentRef(entry.collectionPath);
+    if (parent && !(await getDoc(parent)).exists()) {
+      throw new Error(`This ${trashLocation(entry.collectionPath).toLowerCase()} no longer exists.`);
+    }
+    const others = await orderedDocs(entry.collectionPath, entry.docId);
+    const max = collectionMax(entry.collectionPath);
+    if (max && others.length >= max) {
+      throw new Error(`This collection is full (${max}). Delete another image first.`);
+    }
+    const at = Math.min(Math.max(1, entry.data.index || others.length + 1), others.length + 1);
+    others.forEach((d, i) => {
+      const index = i + 1 < at ? i + 1 : i + 2;
+      if (d.data().index !== index) {
+        batch.update(d.ref, { index, updatedAt: serverTimestamp() });
+      }
+    });
+    batch.set(target, { ...entry.data, index: at, updatedAt: serverTimestamp() });
+  } else {
+    batch.set(target, entry.data);
+  }
+  batch.delete(doc(db, TRASH, entry.id));
+  await batch.commit();
+}
+
+/** Restore by trash id, e.g. from an "Undo" right after deleting. */
+export async function restoreTrashId(trashId) {
+  const snap = await getDoc(doc(db, TRASH, trashId));
+  if (!snap.exists()) throw new Error("This item is no longer in the trash.");
+  await restoreFromTrash({ id: snap.id, ...snap.data() });
+}
+
+/**
+ * Delete an entry for good. Files a published home-page release still shows
+ * are left for the next publish to remove.
+ */
+export async function purgeTrashEntry(entry) {
+  const released =
+    entry.kind === "media" && (await getReleasedIds(entry.collectionPath)).includes(entry.docId);
+  if (entry.folder && !released) await deleteFolder(entry.folder);
+  await deleteDoc(doc(db, TRASH, entry.id));
+}
+
+/** Realtime trash, most recently deleted first. Returns unsubscribe. */
+export function subscribeTrash(onEntries, onError) {
+  return onSnapshot(
+    query(collection(db, TRASH), orderBy("deletedAt", "desc")),
+    (snap) => onEntries(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    onError
+  );
+}
+
+/** Entries of `collectionPath` in the trash: Map(docId → document data). */
+export async function trashedDocs(collectionPath) {
+  const snap = await getDocs(
+    query(collection(db, TRASH), where("collectionPath", "==", collectionPath))
+  );
+  return new Map(snap.docs.map((d) => [d.data().docId, d.data().data]));
+}
+
+/**
+ * Drop the trash entries of `collectionPath` without touching Storage, for a
+ * collection that is deleted along with its folder.
+ */
+export async function dropTrashEntries(collectionPath) {
+  const snap = await getDocs(
+    query(collection(db, TRASH), where("collectionPath", "==", collectionPath))
+  );
+  await commitInChunks(snap.docs.map((d) => [(batch) => batch.delete(d.ref)]));
+}
+
+export function isPastRetention(entry, now = Date.now()) {
+  const purgeAt = toMillis(entry.purgeAt);
+  return Boolean(purgeAt) && now >= purgeAt;
+}
+
+/** Where an entry came from, for people. */
+export function trashLocation(collectionPath = "") {
+  if (collectionPath === "gallery") return "Carousel";
+  if (collectionPath === "masonry") return "Masonry";
+  if (collectionPath === INVITES) return "Testimonial invites";
+  if (collectionPath.startsWith(`${ALBUMS}/`)) return "Album";
+  if (collectionPath.startsWith(`${CLIENT_GALLERIES}/`)) return "Client gallery";
+  return collectionPath;
+}
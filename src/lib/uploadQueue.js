@@ -0,0 +1,222 @@
+/**
+ * In-memory upload queue shared by the admin uploaders. Runs at most
+ * `concurrency` jobs at once, retries failed attempts with exponential
+ * backoff and lets any job be cancelled.
+ *
+ * Job snapshot:
+ *   { id, file, name, size, status, attempt, transferred, totalBytes, error, ...extra }
+ *   status: "queued" → "running" ⇄ "retrying" → "done" | "failed" | "cancelled"
+ *
+ * `run(job, { signal, onProgress })` performs one attempt and must reject
+ * once `signal` aborts. `onProgress` takes the media-library progress events
+ * ({ type: "start", totalBytes } / { type: "progress", delta }).
+ * `onChange(jobs)` receives a new array whenever any job changes.
+ *
+ * Optional `persist.save(job)` / `persist.remove(job)` mirror the queue to
+ * durable storage: jobs are saved when added (unless `restored`) and removed
+ * once they are done, cancelled or cleared. `suspend()` stops running jobs
+ * without settling them, so they stay persisted and start over on `resume()`.
+ */
+
+export const CONCURRENCY = 3;
+export const MAX_ATTEMPTS = 3;
+export const RETRY_BASE_MS = 1000;
+
+const ACTIVE = new Set(["running", "retrying"]);
+const PENDING = new Set(["queued", "running", "retrying"]);
+
+export function isPendingJob(job) {
+  return PENDING.has(job.status);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+export function createUploadQueue({
+  run,
+  onChange,
+  persist,
+  concurrency = CONCURRENCY,
+  maxAttempts = MAX_ATTEMPTS,
+  retryBaseMs = RETRY_BASE_MS,
+}) {
+  let jobs = [];
+  let suspended = false;
+  const controllers = new Map();
+
+  const find = (id) => jobs.find((j) => j.id === id);
+  const patch = (id, fields) => {
+    jobs = jobs.map((j) => (j.id === id ? { ...j, ...fields } : j));
+    onChange(jobs);
+  };
+
+  const remember = (job) =>
+    persist?.save(job)?.catch((err) => console.error("Failed to persist upload:", err));
+  const forget = (job) =>
+    persist?.remove(job)?.catch((err) => console.error("Failed to forget upload:", err));
+
+  const onJobProgress = (id, e) => {
+    const job = find(id);
+    if (!job) return;
+    if (e.type === "start") patch(id, { totalBytes: e.totalBytes, transferred: 0 });
+    else if (e.type === "progress") patch(id, { transferred: job.transferred + e.delta });
+  };
+
+  async function start(id) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    controllers.set(id, controller);
+
+    for (let attempt = 1; ; attempt++) {
+      patch(id, { status: "running", attempt, transferred: 0, totalBytes: 0 });
+      try {
+        await run(find(id), { signal, onProgress: (e) => onJobProgress(id, e) });
+        patch(id, { status: "done", error: null });
+        forget(find(id));
+        break;
+      } catch (err) {
+        if (signal.aborted) {
+          settleAborted(id);
+          break;
+        }
+        console.error(`Upload of ${find(id)?.name} failed (attempt ${attempt}):`, err);
+        const error = err?.message || "Upload failed";
+        if (attempt >= maxAttempts) {
+          patch(id, { status: "failed", error });
+          break;
+        }
+        patch(id, { status: "retrying", error });
+        try {
+          await wait(retryBaseMs * 2 ** (attempt - 1), signal);
+        } catch {
+          settleAborted(id);
+          break;
+        }
+      }
+    }
+
+    controllers.delete(id);
+    pump();
+  }
+
+  // aborted by suspend(): back in line; aborted by the user: cancelled for good
+  function settleAborted(id) {
+    if (suspended) {
+      patch(id, { status: "queued", attempt: 0, transferred: 0, totalBytes: 0 });
+    } else {
+      patch(id, { status: "cancelled" });
+      forget(find(id));
+    }
+  }
+
+  function pump() {
+    if (suspended) return;
+    let running = jobs.filter((j) => ACTIVE.has(j.status)).length;
+    for (const job of jobs) {
+      if (running >= concurrency) break;
+      if (job.status !== "queued") continue;
+      running++;
+      start(job.id);
+    }
+  }
+
+  function cancel(id) {
+    const job = find(id);
+    if (!job || !isPendingJob(job)) return;
+    if (job.status === "queued") {
+      patch(id, { status: "cancelled" });
+      forget(find(id));
+    } else {
+      controllers.get(id)?.abort();
+    }
+  }
+
+  /** Put a failed or cancelled job back in the queue. */
+  function retry(id) {
+    const job = find(id);
+    if (!job || isPendingJob(job) || job.status === "done") return;
+    if (job.status === "cancelled") remember(job);
+    patch(id, { status: "queued", attempt: 0, error: null });
+    pump();
+  }
+
+  return {
+    /**
+     * Queue `entries` ([{ file, id?, restored?, ...extra }]); extra fields are
+     * kept on the job. Pass the saved `id` and `restored: true` when
+     * re-queueing persisted uploads.
+     */
+    add(entries) {
+      const known = new Set(jobs.map((j) => j.id));
+      const added = entries
+        .filter((e) => !e.id || !known.has(e.id))
+        .map(({ file, id, ...extra }) => ({
+          ...extra,
+          id: id || crypto.randomUUID(),
+          file,
+          name: file.name,
+          size: file.size,
+          status: "queued",
+          attempt: 0,
+          transferred: 0,
+          totalBytes: 0,
+          error: null,
+        }));
+      jobs = [...jobs, ...added];
+      onChange(jobs);
+      added.filter((job) => !job.restored).forEach(remember);
+      pump();
+    },
+
+    cancel,
+
+    cancelAll() {
+      jobs.filter(isPendingJob).forEach((j) => cancel(j.id));
+    },
+
+    retry,
+
+    retryFailed() {
+      jobs.filter((j) => j.status === "failed").forEach((j) => retry(j.id));
+    },
+
+    /** Drop finished rows (done / failed / cancelled). */
+    clearFinished() {
+      jobs.filter((j) => j.status === "failed").forEach(forget);
+      jobs = jobs.filter(isPendingJob);
+      onChange(jobs);
+    },
+
+    /** Stop running jobs and start nothing new; they keep their place in line. */
+    suspend() {
+      suspended = true;
+      controllers.forEach((c) => c.abort());
+    },
+
+    resume() {
+      suspended = false;
+      pump();
+    },
+  };
+}
+
+/** Counts per outcome: { total, pending, done, failed, cancelled }. */
+export function summarizeJobs(jobs) {
+  const summary = { total: jobs.length, pending: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const j of jobs) {
+    if (isPendingJob(j)) summary.pending++;
+    else summary[j.status]++;
+  }
+  return summary;
+}
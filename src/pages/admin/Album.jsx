@@ -0,0 +1,47 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ChevronLeftIcon } from "@heroicons/react/20/solid";
+import MediaLibrary from "../../components/MediaLibrary";
+import FullScreenLoader from "../../components/FullScreenLoader";
+import { albumImagesPath, getAlbum, MAX_ALBUM_IMAGES } from "../../lib/albums";
+
+export default function AdminAlbum() {
+  const { albumId } = useParams();
+  const [album, setAlbum] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    getAlbum(albumId)
+      .then((a) => isMounted && setAlbum(a))
+      .catch((err) => console.error("Album load error:", err))
+      .finally(() => isMounted && setLoading(false));
+    return () => {
+      isMounted = false;
+    };
+  }, [albumId]);
+
+  if (loading) return <FullScreenLoader label="Loading album…" />;
+  if (!album) return <div className="p-6">Album not found.</div>;
+
+  return (
+    <div className="space-y-4">
+      <Link
+        to="/admin/albums"
+        className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900"
+      >
+        <ChevronLeftIcon className="size-4" aria-hidden="true" />
+        Albums
+      </Link>
+      <MediaLibrary
+        title={album.name}
+        collectionPath={albumImagesPath(album.id)}
+        max={MAX_ALBUM_IMAGES}
+        layout="masonry"
+        focalPoint={false}
+        itemLabel={`${album.name} image`}
+      />
+    </div>
+  );
+}
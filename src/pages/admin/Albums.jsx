@@ -0,0 +1,219 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  ArrowDownIcon,
+  ArrowUpIcon,
+  EyeIcon,
+  EyeSlashIcon,
+  PhotoIcon,
+} from "@heroicons/react/20/solid";
+import Button from "../../components/Button";
+import { useToast } from "../../components/ToastProvider";
+import {
+  createAlbum,
+  deleteAlbum,
+  renameAlbum,
+  reorderAlbums,
+  setAlbumPublished,
+  subscribeAlbums,
+} from "../../lib/albums";
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(" ");
+}
+
+/* ---------------- AlbumRow ---------------- */
+function AlbumRow({ album, isFirst, isLast, busy, onRename, onMove, onTogglePublished, onDelete }) {
+  const [name, setName] = useState(album.name || "");
+
+  useEffect(() => setName(album.name || ""), [album.name]);
+
+  const commitName = () => {
+    const next = name.trim();
+    if (!next) setName(album.name || "");
+    else if (next !== album.name) onRename(next);
+  };
+
+  return (
+    <li className="flex flex-col gap-3 p-4 sm:flex-row sm:items-center">
+      <div className="min-w-0 flex-1">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+          aria-label="Album name"
+          className="block w-full rounded-md border border-transparent bg-transparent px-2 py-1 text-base font-medium text-gray-900 outline-none hover:border-gray-300 focus:border-gray-300 focus:ring-2 focus:ring-indigo-600"
+        />
+        <p className="mt-1 px-2 text-xs text-gray-500">
+          {album.published ? (
+            <a href={`/albums/${album.slug}`} target="_blank" rel="noreferrer" className="underline">
+              /albums/{album.slug}
+            </a>
+          ) : (
+            <>/albums/{album.slug} · draft</>
+          )}
+        </p>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <span
+          className={classNames(
+            "inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium",
+            album.published ? "bg-green-50 text-green-700" : "bg-gray-100 text-gray-600"
+          )}
+        >
+          {album.published ? "Published" : "Unpublished"}
+        </span>
+
+        <Button variant="ghost" size="sm" disabled={busy || isFirst} onClick={() => onMove(-1)}>
+          <span className="sr-only">Move up</span>
+          <ArrowUpIcon className="size-4" aria-hidden="true" />
+        </Button>
+        <Button variant="ghost" size="sm" disabled={busy || isLast} onClick={() => onMove(1)}>
+          <span className="sr-only">Move down</span>
+          <ArrowDownIcon className="size-4" aria-hidden="true" />
+        </Button>
+
+        <Button variant="secondary" size="sm" disabled={busy} onClick={onTogglePublished}>
+          {album.published ? (
+            <EyeSlashIcon className="mr-1 size-4" aria-hidden="true" />
+          ) : (
+            <EyeIcon className="mr-1 size-4" aria-hidden="true" />
+          )}
+          {album.published ? "Unpublish" : "Publish"}
+        </Button>
+
+        <Link
+          to={`/admin/albums/${album.id}`}
+          className="inline-flex h-8 items-center rounded-md bg-indigo-600 px-3 text-sm font-medium text-white hover:bg-indigo-500"
+        >
+          <PhotoIcon className="mr-1 size-4" aria-hidden="true" />
+          Photos
+        </Link>
+
+        <Button variant="destructive" size="sm" loading={busy} loadingText="Deleting…" onClick={onDelete}>
+          Delete
+        </Button>
+      </div>
+    </li>
+  );
+}
+
+/* ---------------- Main Component ---------------- */
+export default function AdminAlbums() {
+  const { showToast } = useToast();
+  const [albums, setAlbums] = useState([]);
+  const [newName, setNewName] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    const unsub = subscribeAlbums(setAlbums, (e) =>
+      showToast(e?.message || "Failed to load albums", "error")
+    );
+    return () => unsub();
+  }, [showToast]);
+
+  const onCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    setCreating(true);
+    try {
+      await createAlbum(name, albums);
+      setNewName("");
+      showToast("Album created");
+    } catch (err) {
+      showToast(err?.message || "Failed to create album", "error");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const run = async (albumId, fn, errorMsg) => {
+    setBusyId(albumId);
+    try {
+      await fn();
+    } catch (err) {
+      console.error(err);
+      showToast(errorMsg, "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const onMove = (album, dir) => {
+    const from = albums.findIndex((a) => a.id === album.id);
+    const to = from + dir;
+    if (to < 0 || to >= albums.length) return;
+    const next = [...albums];
+    [next[from], next[to]] = [next[to], next[from]];
+    setAlbums(next);
+    run(album.id, () => reorderAlbums(next), "Reorder failed");
+  };
+
+  const onDelete = (album) => {
+    if (!confirm(`Delete "${album.name}" and all of its photos?`)) return;
+    run(album.id, () => deleteAlbum(album.id), "Delete failed");
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold">Albums</h1>
+      </div>
+
+      {/* --- Create Album --- */}
+      <form onSubmit={onCreate} className="flex flex-col gap-3 sm:flex-row sm:items-end">
+        <div className="flex-1">
+          <label htmlFor="album-name" className="block text-sm/6 font-medium text-gray-900">
+            New album
+          </label>
+          <input
+            id="album-name"
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="e.g., Weddings"
+            className="mt-2 block w-full rounded-md border border-gray-300 bg-white px-3 py-1.5 text-base text-gray-900 outline-none focus:ring-2 focus:ring-indigo-600"
+          />
+        </div>
+        <Button type="submit" loading={creating} loadingText="Creating…" disabled={!newName.trim()}>
+          Create album
+        </Button>
+      </form>
+
+      {/* --- Album list --- */}
+      {albums.length === 0 ? (
+        <div className="text-sm text-gray-500">No albums yet.</div>
+      ) : (
+        <ul className="divide-y divide-gray-100 rounded-xl border border-gray-200 bg-white shadow-sm">
+          {albums.map((album, i) => (
+            <AlbumRow
+              key={album.id}
+              album={album}
+              isFirst={i === 0}
+              isLast={i === albums.length - 1}
+              busy={busyId === album.id}
+              onRename={(name) =>
+                run(album.id, () => renameAlbum(album, name, albums), "Rename failed")
+              }
+              onMove={(dir) => onMove(album, dir)}
+              onTogglePublished={() =>
+                run(
+                  album.id,
+                  () => setAlbumPublished(album.id, !album.published),
+                  "Update failed"
+                )
+              }
+              onDelete={() => onDelete(album)}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,243 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { ClockIcon, PhotoIcon, XCircleIcon } from "@heroicons/react/20/solid";
+import Button from "../../components/Button";
+import { useToast } from "../../components/ToastProvider";
+import { useAuth } from "../../context/auth";
+import {
+  createGallery,
+  expiresAtMillis,
+  galleryLink,
+  isGalleryExpired,
+  setGalleryExpiry,
+  subscribeGalleries,
+} from "../../lib/clientGalleries";
+import { addDays, endOfDayLocal, fmtYmd } from "../../lib/dates";
+
+const DEFAULT_EXPIRY_DAYS = 30;
+
+const inputClass =
+  "mt-2 block w-full rounded-md border border-gray-300 bg-white px-3 py-1.5 text-base text-gray-900 outline-none focus:ring-2 focus:ring-indigo-600";
+
+/* ---------------- GalleryRow ---------------- */
+function GalleryRow({ gallery, onToast }) {
+  const expired = isGalleryExpired(gallery);
+  const expiresYmd = fmtYmd(new Date(expiresAtMillis(gallery)));
+  const [saving, setSaving] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(galleryLink(gallery.token));
+      onToast("Link copied to clipboard");
+    } catch {
+      onToast("Failed to copy link", "error");
+    }
+  };
+
+  const changeExpiry = async (ymd) => {
+    if (!ymd) return;
+    setSaving(true);
+    try {
+      await setGalleryExpiry(gallery.token, endOfDayLocal(ymd));
+      onToast("Expiry updated");
+    } catch {
+      onToast("Failed to update expiry", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <li className="flex flex-col gap-3 p-4 sm:flex-row sm:items-center">
+      <div className="min-w-0 flex-1">
+        <div className="flex items-center gap-2">
+          <h3 className="truncate text-sm font-medium text-gray-900">
+            {gallery.clientName || "Unknown Client"}
+          </h3>
+          {expired ? (
+            <span className="inline-flex items-center gap-1 rounded-full bg-red-50 px-1.5 py-0.5 text-xs font-medium text-red-700">
+              <XCircleIcon className="size-3.5" aria-hidden="true" />
+              Expired
+            </span>
+          ) : (
+            <span className="inline-flex items-center gap-1 rounded-full bg-green-50 px-1.5 py-0.5 text-xs font-medium text-green-700">
+              <ClockIcon className="size-3.5" aria-hidden="true" />
+              Active
+            </span>
+          )}
+        </div>
+        <p className="mt-1 truncate text-sm text-gray-500">{gallery.event || "Untitled Event"}</p>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-600">
+        Expires
+        <input
+          type="date"
+          value={expiresYmd}
+          disabled={saving}
+          onChange={(e) => changeExpiry(e.target.value)}
+          className="rounded-md border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:ring-2 focus:ring-indigo-600"
+        />
+      </label>
+
+      <div className="flex items-center gap-2">
+        <Button variant="secondary" size="sm" onClick={handleCopy} disabled={expired}>
+          Copy Link
+        </Button>
+        <Link
+          to={`/admin/galleries/${gallery.token}`}
+          className="inline-flex h-8 items-center rounded-md bg-indigo-600 px-3 text-sm font-medium text-white hover:bg-indigo-500"
+        >
+          <PhotoIcon className="mr-1 size-4" aria-hidden="true" />
+          Photos
+        </Link>
+      </div>
+    </li>
+  );
+}
+
+/* ---------------- Main Component ---------------- */
+export default function AdminClientGalleries() {
+  const { user } = useAuth();
+  const { showToast } = useToast();
+  const [galleries, setGalleries] = useState([]);
+  const [clientName, setClientName] = useState("");
+  const [event, setEvent] = useState("");
+  const [expiresOn, setExpiresOn] = useState(() =>
+    fmtYmd(addDays(new Date(), DEFAULT_EXPIRY_DAYS))
+  );
+  const [favoritesLimit, setFavoritesLimit] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+    const unsub = subscribeGalleries(user.uid, setGalleries, (e) =>
+      showToast(e?.message || "Failed to load galleries", "error")
+    );
+    return unsub;
+  }, [user, showToast]);
+
+  const onCreate = async (e) => {
+    e.preventDefault();
+    if (!clientName.trim() || !event.trim() || !expiresOn) {
+      showToast("Client, event and expiry date are required.", "error");
+      return;
+    }
+    setBusy(true);
+    try {
+      await createGallery({
+        adminUid: user.uid,
+        clientName,
+        event,
+        expiresOn: endOfDayLocal(expiresOn),
+        favoritesLimit: Math.max(0, parseInt(favoritesLimit, 10) || 0),
+      });
+      setClientName("");
+      setEvent("");
+      setFavoritesLimit("");
+      showToast("Gallery created. Add photos, then share the link.");
+    } catch (err) {
+      showToast(err?.message || "Failed to create gallery", "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!user) return null;
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold">Client Galleries</h1>
+      </div>
+
+      {/* --- Create Gallery --- */}
+      <form onSubmit={onCreate} className="grid grid-cols-1 gap-x-8 gap-y-10 pb-12 md:grid-cols-3">
+        <div>
+          <h2 className="text-base/7 font-semibold text-gray-900">Create Gallery</h2>
+          <p className="mt-1 text-sm/6 text-gray-600">
+            A private proofing gallery your client opens with a link until the expiry date.
+          </p>
+        </div>
+
+        <div className="grid max-w-2xl grid-cols-1 gap-x-6 gap-y-8 sm:grid-cols-6 md:col-span-2">
+          <div className="sm:col-span-3">
+            <label htmlFor="gallery-client" className="block text-sm/6 font-medium text-gray-900">
+              Client Full Name <span className="text-red-600">*</span>
+            </label>
+            <input
+              id="gallery-client"
+              type="text"
+              value={clientName}
+              onChange={(e) => setClientName(e.target.value)}
+              placeholder="Amulya Vagala"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="sm:col-span-3">
+            <label htmlFor="gallery-expiry" className="block text-sm/6 font-medium text-gray-900">
+              Link expires <span className="text-red-600">*</span>
+            </label>
+            <input
+              id="gallery-expiry"
+              type="date"
+              value={expiresOn}
+              min={fmtYmd(new Date())}
+              onChange={(e) => setExpiresOn(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+
+          <div className="sm:col-span-6">
+            <label htmlFor="gallery-event" className="block text-sm/6 font-medium text-gray-900">
+              Event <span className="text-red-600">*</span>
+            </label>
+            <input
+              id="gallery-event"
+              type="text"
+              value={event}
+              onChange={(e) => setEvent(e.target.value)}
+              placeholder="e.g., Wedding Of Sandeep & Amulya"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="sm:col-span-3">
+            <label htmlFor="gallery-limit" className="block text-sm/6 font-medium text-gray-900">
+              Favorites limit
+            </label>
+            <input
+              id="gallery-limit"
+              type="number"
+              min="0"
+              inputMode="numeric"
+              value={favoritesLimit}
+              onChange={(e) => setFavoritesLimit(e.target.value)}
+              placeholder="No limit"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="col-span-full">
+            <Button type="submit" loading={busy} loadingText="Creating…">
+              Create gallery
+            </Button>
+          </div>
+        </div>
+      </form>
+
+      {/* --- Gallery list --- */}
+      {galleries.length === 0 ? (
+        <div className="text-sm text-gray-500">No client galleries yet.</div>
+      ) : (
+        <ul className="divide-y divide-gray-100 rounded-xl border border-gray-200 bg-white shadow-sm">
+          {galleries.map((g) => (
+            <GalleryRow key={g.token} gallery={g} onToast={showToast} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
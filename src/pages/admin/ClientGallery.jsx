@@ -0,0 +1,168 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ChevronLeftIcon } from "@heroicons/react/20/solid";
+import Button from "../../components/Button";
+import MediaLibrary from "../../components/MediaLibrary";
+import FullScreenLoader from "../../components/FullScreenLoader";
+import { useToast } from "../../components/ToastProvider";
+import {
+  galleryImagesPath,
+  getGallery,
+  MAX_GALLERY_IMAGES,
+  selectionFileNames,
+  selectionToCsv,
+  selectionToLightroomFilter,
+  setFavoritesLimit,
+  subscribeFavorites,
+} from "../../lib/clientGalleries";
+import { safeFileName, saveBlob } from "../../lib/download";
+import { subscribeMedia } from "../../lib/mediaLibrary";
+
+/* ---------------- SelectionPanel ---------------- */
+function SelectionPanel({ gallery, onLimitSaved }) {
+  const { showToast } = useToast();
+  const [images, setImages] = useState([]);
+  const [favoriteIds, setFavoriteIds] = useState([]);
+  const [limit, setLimit] = useState(String(gallery.favoritesLimit || ""));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const path = galleryImagesPath(gallery.token);
+    return subscribeMedia(path, { max: MAX_GALLERY_IMAGES }, setImages, (e) =>
+      console.error("Gallery images load error:", e)
+    );
+  }, [gallery.token]);
+
+  useEffect(
+    () =>
+      subscribeFavorites(gallery.token, setFavoriteIds, (e) =>
+        console.error("Favorites load error:", e)
+      ),
+    [gallery.token]
+  );
+
+  const fileNames = useMemo(() => selectionFileNames(images, favoriteIds), [images, favoriteIds]);
+  const savedLimit = gallery.favoritesLimit || 0;
+
+  const saveLimit = async () => {
+    const next = Math.max(0, parseInt(limit, 10) || 0);
+    if (next === savedLimit) return;
+    setSaving(true);
+    try {
+      await setFavoritesLimit(gallery.token, next);
+      onLimitSaved(next);
+      showToast("Favorites limit updated");
+    } catch {
+      showToast("Failed to update limit", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const exportCsv = () => {
+    const blob = new Blob([selectionToCsv(fileNames)], { type: "text/csv;charset=utf-8" });
+    saveBlob(blob, safeFileName(`${gallery.clientName} favorites.csv`, "favorites.csv"));
+  };
+
+  const copyLightroom = async () => {
+    try {
+      await navigator.clipboard.writeText(selectionToLightroomFilter(fileNames));
+      showToast("Lightroom filter copied to clipboard");
+    } catch {
+      showToast("Failed to copy filter", "error");
+    }
+  };
+
+  return (
+    <section className="rounded-xl border border-gray-200 bg-white p-4 shadow-sm">
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h2 className="text-base/7 font-semibold text-gray-900">Client selection</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            {fileNames.length}
+            {savedLimit ? ` / ${savedLimit}` : ""} favorite{fileNames.length === 1 ? "" : "s"} selected
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-2">
+          <label className="text-sm text-gray-600">
+            <span className="block text-xs font-medium">Favorites limit</span>
+            <input
+              type="number"
+              min="0"
+              inputMode="numeric"
+              value={limit}
+              disabled={saving}
+              onChange={(e) => setLimit(e.target.value)}
+              onBlur={saveLimit}
+              onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+              placeholder="No limit"
+              className="mt-1 block w-28 rounded-md border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:ring-2 focus:ring-indigo-600"
+            />
+          </label>
+          <Button variant="secondary" size="sm" disabled={!fileNames.length} onClick={exportCsv}>
+            Export CSV
+          </Button>
+          <Button variant="secondary" size="sm" disabled={!fileNames.length} onClick={copyLightroom}>
+            Copy Lightroom filter
+          </Button>
+        </div>
+      </div>
+
+      {fileNames.length > 0 && (
+        <ul className="mt-4 flex max-h-40 flex-wrap gap-1.5 overflow-y-auto text-xs text-gray-700">
+          {fileNames.map((name, i) => (
+            <li key={`${name}-${i}`} className="rounded bg-gray-100 px-1.5 py-0.5 font-mono">
+              {name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+/* ---------------- Main Component ---------------- */
+export default function AdminClientGallery() {
+  const { token } = useParams();
+  const [gallery, setGallery] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    getGallery(token)
+      .then((g) => isMounted && setGallery(g))
+      .catch((err) => console.error("Gallery load error:", err))
+      .finally(() => isMounted && setLoading(false));
+    return () => {
+      isMounted = false;
+    };
+  }, [token]);
+
+  if (loading) return <FullScreenLoader label="Loading gallery…" />;
+  if (!gallery) return <div className="p-6">Gallery not found.</div>;
+
+  return (
+    <div className="space-y-4">
+      <Link
+        to="/admin/galleries"
+        className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900"
+      >
+        <ChevronLeftIcon className="size-4" aria-hidden="true" />
+        Client Galleries
+      </Link>
+      <SelectionPanel
+        gallery={gallery}
+        onLimitSaved={(favoritesLimit) => setGallery((g) => ({ ...g, favoritesLimit }))}
+      />
+      <MediaLibrary
+        title={`${gallery.clientName} · ${gallery.event}`}
+        collectionPath={galleryImagesPath(gallery.token)}
+        max={MAX_GALLERY_IMAGES}
+        layout="masonry"
+        itemLabel="Photo"
+      />
+    </div>
+  );
+}
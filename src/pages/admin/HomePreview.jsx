@@ -0,0 +1,17 @@
+import HomePublishBar from "../../components/HomePublishBar";
+import Home from "../public/Home";
+
+/** /preview: the home page with the draft carousel and masonry. */
+export default function HomePreview() {
+  return (
+    <>
+      <div className="mx-auto max-w-7xl px-6 py-4 lg:px-8">
+        <p className="mb-2 text-xs font-semibold uppercase tracking-wide text-indigo-600">
+          Preview — visitors don’t see this yet
+        </p>
+        <HomePublishBar showPreviewLink={false} />
+      </div>
+      <Home preview />
+    </>
+  );
+}
@@ -0,0 +1,191 @@
+import { useMemo, useState } from "react";
+import { CheckCircleIcon, ExclamationTriangleIcon } from "@heroicons/react/20/solid";
+import Button from "../../components/Button";
+import { useToast } from "../../components/ToastProvider";
+import { formatBytes } from "../../lib/format";
+import { planCleanup, runCleanup, scanStorage } from "../../lib/storageHealth";
+
+const STEP_LABELS = {
+  folder: "Delete folder",
+  object: "Delete file",
+  document: "Delete item",
+};
+
+/* ---------------- SectionRow ---------------- */
+function SectionRow({ section }) {
+  const issues = section.orphans.length + section.broken.length;
+  return (
+    <li className="p-4">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+        <h3 className="min-w-40 flex-1 text-sm font-medium text-gray-900">
+          {section.label}
+          {section.prefix && <span className="ml-2 font-mono text-xs text-gray-500">{section.prefix}/</span>}
+        </h3>
+        <span className="text-sm text-gray-600">
+          {section.objectCount} file{section.objectCount === 1 ? "" : "s"} · {formatBytes(section.bytes)}
+        </span>
+        {!section.known ? (
+          <span className="text-xs text-gray-500">Not managed by the site</span>
+        ) : issues ? (
+          <span className="inline-flex items-center gap-1 text-xs font-medium text-amber-700">
+            <ExclamationTriangleIcon className="size-4" aria-hidden="true" />
+            {section.orphans.length} unused · {section.broken.length} broken
+          </span>
+        ) : (
+          <span className="inline-flex items-center gap-1 text-xs font-medium text-green-700">
+            <CheckCircleIcon className="size-4" aria-hidden="true" />
+            Healthy
+          </span>
+        )}
+      </div>
+
+      {issues > 0 && (
+        <details className="mt-2 text-sm">
+          <summary className="cursor-pointer text-gray-600 hover:text-gray-900">Details</summary>
+          <ul className="mt-2 space-y-1 font-mono text-xs text-gray-700">
+            {section.orphans.map((o) => (
+              <li key={o.path}>
+                <span className="text-gray-500">unused</span> {o.path} ({formatBytes(o.bytes)}) —{" "}
+                <span className="font-sans">{o.reason}</span>
+              </li>
+            ))}
+            {section.broken.map((b) => (
+              <li key={b.docPath}>
+                <span className="text-rose-600">broken</span> {b.docPath} — missing{" "}
+                {b.missing.join(", ")}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </li>
+  );
+}
+
+/* ---------------- Main Component ---------------- */
+export default function AdminStorageHealth() {
+  const { showToast } = useToast();
+  const [report, setReport] = useState(null);
+  const [scanning, setScanning] = useState(null); // label of the prefix being scanned
+  const [showPlan, setShowPlan] = useState(false);
+  const [cleaning, setCleaning] = useState(null); // { done, total }
+
+  const plan = useMemo(() => (report ? planCleanup(report) : null), [report]);
+  const totals = useMemo(
+    () =>
+      report?.sections.reduce(
+        (t, s) => ({ bytes: t.bytes + s.bytes, objects: t.objects + s.objectCount }),
+        { bytes: 0, objects: 0 }
+      ),
+    [report]
+  );
+
+  const scan = async () => {
+    setShowPlan(false);
+    setScanning("Storage");
+    try {
+      setReport(await scanStorage({ onProgress: setScanning }));
+    } catch (err) {
+      console.error(err);
+      showToast(err?.message || "Scan failed", "error");
+    } finally {
+      setScanning(null);
+    }
+  };
+
+  const cleanup = async () => {
+    if (!confirm(`Permanently delete ${plan.steps.length} item(s), ${formatBytes(plan.bytes)}?`)) return;
+    setCleaning({ done: 0, total: plan.steps.length });
+    try {
+      const { done, failed } = await runCleanup(plan, { onProgress: setCleaning });
+      showToast(
+        failed.length ? `Cleaned ${done}, ${failed.length} failed` : `Cleaned ${done} item(s)`,
+        failed.length ? "error" : "success"
+      );
+    } finally {
+      setCleaning(null);
+    }
+    await scan();
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold">Storage health</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Find files nothing uses any more and items whose files are missing.
+          </p>
+        </div>
+        <Button
+          onClick={scan}
+          loading={Boolean(scanning)}
+          loadingText={`Scanning ${scanning}…`}
+          disabled={Boolean(cleaning)}
+        >
+          {report ? "Scan again" : "Scan storage"}
+        </Button>
+      </div>
+
+      {report && (
+        <>
+          <p className="text-sm text-gray-600">
+            {totals.objects} files · {formatBytes(totals.bytes)} in total · scanned{" "}
+            {report.scannedAt.toLocaleTimeString()}
+          </p>
+
+          <ul className="divide-y divide-gray-100 rounded-xl border border-gray-200 bg-white shadow-sm">
+            {report.sections.map((s) => (
+              <SectionRow key={s.prefix || "(root)"} section={s} />
+            ))}
+          </ul>
+
+          {/* --- Cleanup --- */}
+          <section className="rounded-xl border border-gray-200 bg-white p-4 shadow-sm">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <h2 className="text-base/7 font-semibold text-gray-900">Cleanup</h2>
+                <p className="text-sm text-gray-600">
+                  {plan.steps.length
+                    ? `${plan.steps.length} item(s) can be removed, freeing ${formatBytes(plan.bytes)}.`
+                    : "Nothing to clean up."}
+                </p>
+              </div>
+              {plan.steps.length > 0 && (
+                <div className="flex items-center gap-2">
+                  <Button variant="secondary" onClick={() => setShowPlan((v) => !v)}>
+                    {showPlan ? "Hide preview" : "Preview (dry run)"}
+                  </Button>
+                  <Button
+                    variant="destructive"
+                    onClick={cleanup}
+                    disabled={!showPlan || Boolean(scanning)}
+                    loading={Boolean(cleaning)}
+                    loadingText={`Cleaning ${cleaning?.done ?? 0}/${cleaning?.total ?? 0}…`}
+                    title={showPlan ? undefined : "Preview the cleanup first"}
+                  >
+                    Clean up
+                  </Button>
+                </div>
+              )}
+            </div>
+
+            {showPlan && (
+              <ul className="mt-4 max-h-96 space-y-1 overflow-y-auto text-xs text-gray-700">
+                {plan.steps.map((step) => (
+                  <li key={`${step.type}:${step.path}`} className="flex flex-wrap gap-x-2">
+                    <span className="w-24 shrink-0 font-medium">{STEP_LABELS[step.type]}</span>
+                    <span className="font-mono">{step.path}</span>
+                    {step.bytes > 0 && <span className="text-gray-500">{formatBytes(step.bytes)}</span>}
+                    <span className="text-gray-500">— {step.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
@@ -21,7 +21,6 @@ import {
   getDownloadURL,
   ref,
   uploadBytes,
-  deleteObject,
 } from "firebase/storage";
 import {
   ChevronLeftIcon,
@@ -33,30 +32,22 @@ import {
   CheckCircleIcon,
   ExclamationTriangleIcon,
   MapPinIcon,
+  TrashIcon,
   XCircleIcon
 } from "@heroicons/react/20/solid";
 import { UserCircleIcon } from "@heroicons/react/24/solid";
 
 // California cities list (keep sorted for best UX)
 import CA_CITIES from "../../data/ca_cities";
+import { addDays, fmtYmd, parseYmdLocal } from "../../lib/dates";
+import { deleteObjectIfExists } from "../../lib/mediaLibrary";
+import { restoreTrashId, trashInvite } from "../../lib/trash";
 
 function makeToken() {
   return crypto.randomUUID().replace(/-/g, "");
 }
 
 /* ---------------- Calendar + String helpers ---------------- */
-function fmtYmd(date) {
-  const y = date.getFullYear();
-  const m = `${date.getMonth() + 1}`.padStart(2, "0");
-  const d = `${date.getDate()}`.padStart(2, "0");
-  return `${y}-${m}-${d}`;
-}
-
-/** Parse 'YYYY-MM-DD' as a LOCAL date (avoid UTC off-by-one) */
-function parseYmdLocal(ymd) {
-  const [y, m, d] = ymd.split("-").map((s) => parseInt(s, 10));
-  return new Date(y, m - 1, d, 0, 0, 0, 0);
-}
 
 /** Make Every Word's First Letter Uppercase (handles hyphens & apostrophes) */
 function toTitleCase(str) {
@@ -68,11 +59,6 @@ function toTitleCase(str) {
 function weekdayMon0(date) {
   return (date.getDay() + 6) % 7; // Monday=0
 }
-function addDays(date, n) {
-  const d = new Date(date);
-  d.setDate(d.getDate() + n);
-  return d;
-}
 function getMonthGrid(viewYear, viewMonth, selectedYmd) {
   const todayYmd = fmtYmd(new Date());
   const first = new Date(viewYear, viewMonth, 1);
@@ -100,7 +86,7 @@ function classNames(...classes) {
 const MotionButton = motion.button;
 
 /* ---------------- InviteRow (Card UI) ---------------- */
-function InviteRow({ invite, status, onToast }) {
+function InviteRow({ invite, status, onToast, onDelete }) {
   const [copied, setCopied] = useState(false);
   const [visible, setVisible] = useState(false);
   const [expiryText, setExpiryText] = useState("");
@@ -182,6 +168,18 @@ function InviteRow({ invite, status, onToast }) {
           "translateZ(0) perspective(1000px) rotateX(var(--tiltX, 0deg)) rotateY(var(--tiltY, 0deg))"
       }}
     >
+      {onDelete && (
+        <button
+          type="button"
+          onClick={() => onDelete(invite)}
+          className="absolute right-1.5 top-1.5 z-10 rounded-md p-1 text-gray-400 opacity-0 transition-opacity hover:bg-gray-100 hover:text-red-600 focus:opacity-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-600 group-hover:opacity-100"
+          title="Move to trash"
+        >
+          <span className="sr-only">Delete invite</span>
+          <TrashIcon className="size-4" aria-hidden="true" />
+        </button>
+      )}
+
       {/* Top section */}
       <div className="flex w-full items-center justify-between space-x-6 p-6">
         <div className="flex-1 truncate">
@@ -500,7 +498,7 @@ export default function AdminTestimonials() {
   const clearAvatar = async () => {
     try {
       if (!inviteToken) return;
-      await deleteObject(ref(storage, `avatars/${inviteToken}/avatar.jpg`));
+      await deleteObjectIfExists(ref(storage, `avatars/${inviteToken}/avatar.jpg`));
       showToast("Photo removed");
     } catch {
       showToast("Failed to remove photo", "error");
@@ -543,6 +541,21 @@ export default function AdminTestimonials() {
   };
   /* ----------------------------------------------- */
 
+  // Soft delete: the invite and its avatar wait in the trash (see lib/trash).
+  // Only open and expired invites: a live testimonial shows its invite's avatar.
+  const deleteInvite = async (invite) => {
+    try {
+      const trashId = await trashInvite(invite);
+      showToast("Invite moved to trash", "success", 6000, {
+        label: "Undo",
+        onClick: () =>
+          restoreTrashId(trashId).catch((e) => showToast(e?.message || "Restore failed", "error")),
+      });
+    } catch (e) {
+      showToast(e?.message || "Failed to delete invite", "error");
+    }
+  };
+
   const createInvite = async (e) => {
     e.preventDefault();
     setErr(null);
@@ -998,7 +1011,13 @@ export default function AdminTestimonials() {
             ) : (
               <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-3">
                 {pending.map((inv) => (
-                  <InviteRow key={inv.token} invite={inv} status="pending" onToast={showToast} />
+                  <InviteRow
+                    key={inv.token}
+                    invite={inv}
+                    status="pending"
+                    onToast={showToast}
+                    onDelete={deleteInvite}
+                  />
                 ))}
               </div>
             )}
@@ -1012,7 +1031,12 @@ export default function AdminTestimonials() {
             ) : (
               <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-3">
                 {done.map((inv) => (
-                  <InviteRow key={inv.token} invite={inv} status="done" onToast={showToast} />
+                  <InviteRow
+                    key={inv.token}
+                    invite={inv}
+                    status="done"
+                    onToast={showToast}
+                  />
                 ))}
               </div>
             )}
@@ -1026,7 +1050,13 @@ export default function AdminTestimonials() {
             ) : (
               <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-3">
                 {expired.map((inv) => (
-                  <InviteRow key={inv.token} invite={inv} status="expired" onToast={showToast} />
+                  <InviteRow
+                    key={inv.token}
+                    invite={inv}
+                    status="expired"
+                    onToast={showToast}
+                    onDelete={deleteInvite}
+                  />
                 ))}
               </div>
             )}
@@ -0,0 +1,199 @@
+import { useEffect, useRef, useState } from "react";
+import { ArrowUturnLeftIcon, TrashIcon } from "@heroicons/react/20/solid";
+import Button from "../../components/Button";
+import { useToast } from "../../components/ToastProvider";
+import {
+  isPastRetention,
+  purgeTrashEntry,
+  restoreFromTrash,
+  subscribeTrash,
+  trashLocation,
+  TRASH_RETENTION_DAYS,
+} from "../../lib/trash";
+import { toMillis } from "../../lib/publishing";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function entryName(entry) {
+  const { data = {} } = entry;
+  if (entry.kind === "invite") {
+    return [data.clientName || "Unknown Client", data.event].filter(Boolean).join(" · ");
+  }
+  return data.alt || data.fileName || `Image #${data.index ?? "?"}`;
+}
+
+function entryThumb(entry) {
+  return entry.kind === "invite" ? entry.data?.avatarUrl : entry.data?.optimizedURL;
+}
+
+function daysLeft(entry) {
+  return Math.max(0, Math.ceil((toMillis(entry.purgeAt) - Date.now()) / DAY_MS));
+}
+
+/* ---------------- TrashRow ---------------- */
+function TrashRow({ entry, busy, onRestore, onPurge }) {
+  const thumb = entryThumb(entry);
+  const deletedAt = toMillis(entry.deletedAt);
+  return (
+    <li className="flex flex-col gap-3 p-4 sm:flex-row sm:items-center">
+      {thumb ? (
+        <img
+          src={thumb}
+          alt=""
+          loading="lazy"
+          className={`size-14 shrink-0 bg-gray-100 object-cover ${
+            entry.kind === "invite" ? "rounded-full" : "rounded-md"
+          }`}
+        />
+      ) : (
+        <div className="grid size-14 shrink-0 place-items-center rounded-md bg-gray-100 text-gray-400">
+          <TrashIcon className="size-5" aria-hidden="true" />
+        </div>
+      )}
+      <div className="min-w-0 flex-1">
+        <h3 className="truncate text-sm font-medium text-gray-900">{entryName(entry)}</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          {trashLocation(entry.collectionPath)}
+          {deletedAt ? ` · deleted ${new Date(deletedAt).toLocaleString()}` : ""}
+          {` · purged in ${daysLeft(entry)} day${daysLeft(entry) === 1 ? "" : "s"}`}
+        </p>
+      </div>
+      <div className="flex items-center gap-2">
+        <Button variant="secondary" size="sm" onClick={onRestore} disabled={busy}>
+          <ArrowUturnLeftIcon className="mr-1 size-4" aria-hidden="true" />
+          Restore
+        </Button>
+        <Button variant="destructive" size="sm" onClick={onPurge} disabled={busy}>
+          Delete forever
+        </Button>
+      </div>
+    </li>
+  );
+}
+
+/* ---------------- Main Component ---------------- */
+export default function AdminTrash() {
+  const { showToast } = useToast();
+  const [entries, setEntries] = useState(null);
+  const [busyIds, setBusyIds] = useState(new Set());
+  const [emptying, setEmptying] = useState(false);
+  const sweptRef = useRef(false);
+
+  useEffect(
+    () =>
+      subscribeTrash(setEntries, (err) => {
+        console.error(err);
+        showToast("Failed to load the trash", "error");
+      }),
+    [showToast]
+  );
+
+  // Entries past their retention are purged the first time the trash is opened.
+  useEffect(() => {
+    if (!entries || sweptRef.current) return;
+    sweptRef.current = true;
+    const expired = entries.filter((e) => isPastRetention(e));
+    if (!expired.length) return;
+    Promise.allSettled(expired.map(purgeTrashEntry)).then((results) => {
+      const failed = results.filter((r) => r.status === "rejected");
+      failed.forEach((r) => console.error("Purge failed:", r.reason));
+      if (failed.length) showToast(`${failed.length} expired item(s) could not be purged`, "error");
+    });
+  }, [entries, showToast]);
+
+  const withBusy = async (entry, fn) => {
+    setBusyIds((s) => new Set(s).add(entry.id));
+    try {
+      await fn();
+    } finally {
+      setBusyIds((s) => {
+        const n = new Set(s);
+        n.delete(entry.id);
+        return n;
+      });
+    }
+  };
+
+  const restore = (entry) =>
+    withBusy(entry, async () => {
+      try {
+        await restoreFromTrash(entry);
+        showToast(`Restored to ${trashLocation(entry.collectionPath)}`);
+      } catch (err) {
+        console.error(err);
+        showToast(err?.message || "Restore failed", "error");
+      }
+    });
+
+  const purge = (entry) => {
+    if (!confirm("Delete this item and its files permanently?")) return;
+    return withBusy(entry, async () => {
+      try {
+        await purgeTrashEntry(entry);
+        showToast("Deleted permanently");
+      } catch (err) {
+        console.error(err);
+        showToast(err?.message || "Delete failed", "error");
+      }
+    });
+  };
+
+  const emptyTrash = async () => {
+    if (!confirm(`Permanently delete all ${entries.length} item(s) in the trash?`)) return;
+    setEmptying(true);
+    try {
+      const results = await Promise.allSettled(entries.map(purgeTrashEntry));
+      const failed = results.filter((r) => r.status === "rejected").length;
+      showToast(
+        failed ? `Emptied the trash, ${failed} item(s) failed` : "Trash emptied",
+        failed ? "error" : "success"
+      );
+    } finally {
+      setEmptying(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold">Trash</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Deleted images and invites are kept for {TRASH_RETENTION_DAYS} days before they are
+            removed for good.
+          </p>
+        </div>
+        <Button
+          variant="destructive"
+          onClick={emptyTrash}
+          disabled={!entries?.length}
+          loading={emptying}
+          loadingText="Emptying…"
+        >
+          Empty trash
+        </Button>
+      </div>
+
+      {entries === null ? (
+        <p className="text-sm text-gray-500">Loading…</p>
+      ) : entries.length === 0 ? (
+        <div className="rounded-xl border border-dashed border-gray-300 p-10 text-center text-sm text-gray-500">
+          The trash is empty.
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-100 rounded-xl border border-gray-200 bg-white shadow-sm">
+          {entries.map((entry) => (
+            <TrashRow
+              key={entry.id}
+              entry={entry}
+              busy={busyIds.has(entry.id) || emptying}
+              onRestore={() => restore(entry)}
+              onPurge={() => purge(entry)}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import FullScreenLoader from "../../components/FullScreenLoader";
+import MasonrySection from "./MasonrySection";
+import { albumImagesPath, getPublishedAlbumBySlug } from "../../lib/albums";
+
+export default function Album() {
+  const { slug } = useParams();
+  const [album, setAlbum] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    getPublishedAlbumBySlug(slug)
+      .then((a) => isMounted && setAlbum(a))
+      .catch((err) => console.error("Album load error:", err))
+      .finally(() => isMounted && setLoading(false));
+    return () => {
+      isMounted = false;
+    };
+  }, [slug]);
+
+  if (loading) return <FullScreenLoader label="Loading album…" />;
+  if (!album) return <div className="p-6">Not found</div>;
+
+  return (
+    <section className="space-y-4">
+      <h1
+        className="pt-8 text-center text-4xl font-bold"
+        style={{ fontFamily: "'Suravaram', serif" }}
+      >
+        {album.name}
+      </h1>
+      <MasonrySection collectionPath={albumImagesPath(album.id)} />
+    </section>
+  );
+}
@@ -1,24 +1,29 @@
-import { useEffect, useState } from "react";
-import { db } from "../../lib/firebase";
-import { collection, getDocs, limit, orderBy, query } from "firebase/firestore";
-
 import Carousel from "../../components/Carousel";
+import { usePagedGallery } from "../../hooks/usePagedGallery";
+import { buildArtDirectedSources, buildSrcSet } from "../../lib/responsiveImage";
 
-export default function CarouselSection() {
-  const [items, setItems] = useState([]);
+const MAX_SLIDES = 5;
 
-  useEffect(() => {
-    (async () => {
-      const snap = await getDocs(
-        query(collection(db, "gallery"), orderBy("index", "asc"), limit(5))
-      );
-      setItems(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
-    })();
-  }, []);
+export default function CarouselSection({ preview = false }) {
+  // drafts and scheduled slides stay in the collection, so the hook filters before capping;
+  // a failed listener keeps retrying in the background while the slides shown stay up
+  const { items: published } = usePagedGallery("gallery", { preview });
+  const items = published.slice(0, MAX_SLIDES);
 
   if (!items.length) return null;
 
-  const images = items.map((it) => it.optimizedURL);
+  const images = items.map((it) => ({
+    id: it.id,
+    src: it.optimizedURL,
+    srcSet: buildSrcSet(it.renditions),
+    // phones get the slide's mobile image when it has one
+    sources: buildArtDirectedSources(it.renditions, it.mobile?.renditions),
+    alt: it.alt,
+    caption: it.caption,
+    credit: it.credit,
+    framing: it.framing,
+    hasMobile: Boolean(it.mobile?.renditions?.length),
+  }));
 
   return (
     <section>
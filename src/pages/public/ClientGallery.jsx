@@ -0,0 +1,306 @@
+import { useEffect, useMemo, useState } from "react";
+import { useParams } from "react-router-dom";
+import { ArrowDownTrayIcon, HeartIcon as HeartOutline } from "@heroicons/react/24/outline";
+import { HeartIcon as HeartSolid } from "@heroicons/react/24/solid";
+import FullScreenLoader from "../../components/FullScreenLoader";
+import Lightbox from "../../components/Lightbox";
+import Picture from "../../components/Picture";
+import Button from "../../components/Button";
+import { useToast } from "../../components/ToastProvider";
+import {
+  getGallery,
+  getGalleryImages,
+  isGalleryExpired,
+  setFavorite,
+  subscribeFavorites,
+} from "../../lib/clientGalleries";
+import { useZipDownload } from "../../hooks/useZipDownload";
+import { downloadURL, originalsForZip, safeFileName } from "../../lib/download";
+import { toGalleryImage } from "../../lib/responsiveImage";
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(" ");
+}
+
+const iconButton =
+  "rounded-full bg-white/90 p-2 text-gray-900 shadow-sm hover:bg-white focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-600 disabled:opacity-50";
+
+/* ---------------- PhotoCard ---------------- */
+function PhotoCard({ img, favorite, downloading, onOpen, onToggleFavorite, onDownload }) {
+  return (
+    <li className="group relative overflow-hidden rounded-lg bg-gray-100">
+      <button type="button" onClick={onOpen} className="masonry-media aspect-[4/3] w-full">
+        <span className="sr-only">View photo</span>
+        <Picture
+          sources={img.sources}
+          src={img.src}
+          srcSet={img.srcSet}
+          sizes="(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw"
+          alt={img.alt}
+          loading="lazy"
+          decoding="async"
+          className="size-full object-cover"
+          style={{ objectPosition: img.objectPosition }}
+        />
+      </button>
+      <div className="absolute right-2 top-2 flex gap-2">
+        <button
+          type="button"
+          onClick={onToggleFavorite}
+          aria-pressed={favorite}
+          className={iconButton}
+        >
+          <span className="sr-only">{favorite ? "Remove from favorites" : "Add to favorites"}</span>
+          {favorite ? (
+            <HeartSolid className="size-5 text-rose-600" aria-hidden="true" />
+          ) : (
+            <HeartOutline className="size-5" aria-hidden="true" />
+          )}
+        </button>
+        <button type="button" onClick={onDownload} disabled={downloading} className={iconButton}>
+          <span className="sr-only">Download original</span>
+          <ArrowDownTrayIcon
+            className={classNames("size-5", downloading && "animate-pulse")}
+            aria-hidden="true"
+          />
+        </button>
+      </div>
+    </li>
+  );
+}
+
+/* ---------------- Main Component ---------------- */
+export default function ClientGallery() {
+  const { token: rawToken } = useParams();
+  const token = (rawToken || "").trim();
+  const { showToast } = useToast();
+
+  const [loading, setLoading] = useState(true);
+  const [gallery, setGallery] = useState(null);
+  const [images, setImages] = useState([]);
+  const [error, setError] = useState(null);
+  const [favoriteIds, setFavoriteIds] = useState([]);
+  const [onlyFavorites, setOnlyFavorites] = useState(false);
+  const [openIndex, setOpenIndex] = useState(-1);
+  const [downloadingId, setDownloadingId] = useState(null);
+  const zip = useZipDownload();
+
+  const expired = gallery ? isGalleryExpired(gallery) : false;
+
+  useEffect(() => {
+    let isMounted = true;
+    (async () => {
+      if (!token) {
+        setError("This link is invalid.");
+        setLoading(false);
+        return;
+      }
+      try {
+        const g = await getGallery(token);
+        if (!isMounted) return;
+        if (!g) {
+          setError("This link is invalid.");
+          return;
+        }
+        setGallery(g);
+        if (isGalleryExpired(g)) return;
+        const docs = await getGalleryImages(token);
+        if (isMounted) {
+          setImages(
+            docs.map((d) => ({
+              ...toGalleryImage(d.id, d),
+              originalURL: d.originalURL,
+              fileName: d.fileName,
+            }))
+          );
+        }
+      } catch (e) {
+        console.error("Gallery load error:", e);
+        if (isMounted) setError("Could not load gallery.");
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    })();
+    return () => {
+      isMounted = false;
+    };
+  }, [token]);
+
+  useEffect(() => {
+    if (!gallery || expired) return;
+    return subscribeFavorites(token, setFavoriteIds, (e) =>
+      console.error("Favorites load error:", e)
+    );
+  }, [token, gallery, expired]);
+
+  // ids of photos removed since they were picked don't count (nor can they be unpicked)
+  const favorites = useMemo(() => {
+    const picked = new Set(favoriteIds);
+    return new Set(images.filter((img) => picked.has(img.id)).map((img) => img.id));
+  }, [favoriteIds, images]);
+  const favoritesLimit = gallery?.favoritesLimit || 0;
+  const atLimit = favoritesLimit > 0 && favorites.size >= favoritesLimit;
+  const visible = useMemo(
+    () => (onlyFavorites ? images.filter((img) => favorites.has(img.id)) : images),
+    [images, favorites, onlyFavorites]
+  );
+
+  const toggleFavorite = async (img) => {
+    const next = !favorites.has(img.id);
+    const limitReached = () =>
+      showToast(`You can pick up to ${favoritesLimit} favorites. Remove one to add another.`, "error");
+    if (next && atLimit) {
+      limitReached();
+      return;
+    }
+    try {
+      // the limit is checked again where the favorite is saved
+      const saved = await setFavorite(token, img.id, next, {
+        galleryIds: images.map((i) => i.id),
+      });
+      if (!saved) limitReached();
+    } catch (e) {
+      console.error(e);
+      showToast("Couldn’t save your favorite. Please try again.", "error");
+    }
+  };
+
+  const download = async (img) => {
+    const n = images.findIndex((i) => i.id === img.id) + 1;
+    setDownloadingId(img.id);
+    try {
+      await downloadURL(
+        img.originalURL,
+        safeFileName(img.fileName || `${gallery.event}-${n}.jpg`, `photo-${n}.jpg`)
+      );
+    } catch (e) {
+      console.error(e);
+      showToast("Download failed. Please try again.", "error");
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  const downloadAll = async () => {
+    const name = safeFileName(
+      onlyFavorites ? `${gallery.event} favorites` : gallery.event,
+      "photos"
+    );
+    try {
+      await zip.start(originalsForZip(visible, name), `${name}.zip`);
+    } catch (e) {
+      console.error(e);
+      showToast("Download failed. Please try again.", "error");
+    }
+  };
+
+  if (loading) return <FullScreenLoader label="Loading gallery…" />;
+
+  if (error || expired) {
+    return (
+      <div className="mx-auto max-w-xl p-6 text-center">
+        <h1 className="text-2xl font-bold">{expired ? "This gallery has expired" : error}</h1>
+        <p className="mt-2 text-gray-600">
+          Please reach out to us if you need access to your photos again.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <section className="mx-auto max-w-7xl space-y-6 px-4 py-8 sm:px-6 lg:px-8">
+      <header className="text-center">
+        <h1 className="text-4xl font-bold" style={{ fontFamily: "'Suravaram', serif" }}>
+          {gallery.event}
+        </h1>
+        <p className="mt-2 text-gray-600">For {gallery.clientName}</p>
+      </header>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+        <span className="text-gray-600" aria-live="polite">
+          {favoritesLimit ? (
+            <>
+              <span className={classNames("font-medium", atLimit ? "text-rose-600" : "text-gray-900")}>
+                {favorites.size} / {favoritesLimit}
+              </span>{" "}
+              favorites selected
+            </>
+          ) : (
+            <>
+              {images.length} photo{images.length === 1 ? "" : "s"}
+            </>
+          )}
+        </span>
+        <div className="flex items-center gap-2">
+          {zip.isZipping && (
+            <Button variant="ghost" size="sm" onClick={zip.cancel}>
+              Cancel
+            </Button>
+          )}
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={downloadAll}
+            loading={zip.isZipping}
+            loadingText={`Zipping ${zip.progress?.done ?? 0}/${zip.progress?.total ?? 0}…`}
+            disabled={!visible.length}
+          >
+            <ArrowDownTrayIcon className="mr-1 size-4" aria-hidden="true" />
+            {onlyFavorites ? "Download favorites" : "Download all"}
+          </Button>
+          <div className="inline-flex rounded-md shadow-sm" role="group" aria-label="Filter photos">
+            <button
+              type="button"
+              onClick={() => setOnlyFavorites(false)}
+              aria-pressed={!onlyFavorites}
+              className={classNames(
+                "rounded-l-md px-3 py-1.5 font-medium ring-1 ring-inset ring-gray-300",
+                !onlyFavorites ? "bg-gray-900 text-white" : "bg-white text-gray-900 hover:bg-gray-50"
+              )}
+            >
+              All
+            </button>
+            <button
+              type="button"
+              onClick={() => setOnlyFavorites(true)}
+              aria-pressed={onlyFavorites}
+              className={classNames(
+                "-ml-px rounded-r-md px-3 py-1.5 font-medium ring-1 ring-inset ring-gray-300",
+                onlyFavorites ? "bg-gray-900 text-white" : "bg-white text-gray-900 hover:bg-gray-50"
+              )}
+            >
+              Favorites ({favorites.size})
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="py-12 text-center text-gray-500">
+          {onlyFavorites ? "Tap the heart on a photo to add it to your favorites." : "No photos yet."}
+        </p>
+      ) : (
+        <ul className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {visible.map((img, i) => (
+            <PhotoCard
+              key={img.id}
+              img={img}
+              favorite={favorites.has(img.id)}
+              downloading={downloadingId === img.id}
+              onOpen={() => setOpenIndex(i)}
+              onToggleFavorite={() => toggleFavorite(img)}
+              onDownload={() => download(img)}
+            />
+          ))}
+        </ul>
+      )}
+
+      <Lightbox
+        images={visible}
+        index={openIndex}
+        onClose={() => setOpenIndex(-1)}
+        onNavigate={setOpenIndex}
+      />
+    </section>
+  );
+}
@@ -1,11 +1,13 @@
 import CarouselSection from "./CarouselSection";
 import MasonrySection from "./MasonrySection";
 import Testimonials from "./Testimonials";
-export default function Home() {
+
+// `preview` renders the draft carousel and masonry instead of the release
+export default function Home({ preview = false }) {
   return (
     <section className="space-y-4">
-      <CarouselSection />
-      <MasonrySection />
+      <CarouselSection preview={preview} />
+      <MasonrySection preview={preview} />
       <Testimonials />
     </section>
   );
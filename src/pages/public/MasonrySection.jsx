@@ -1,74 +1,130 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { db } from "../../lib/firebase";
-import { collection, getDocs, orderBy, query } from "firebase/firestore";
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useState } from "react";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
 import Masonry, { ResponsiveMasonry } from "react-responsive-masonry";
+import { LayoutGroup, motion, useReducedMotion } from "framer-motion";
+import { useInView } from "react-intersection-observer";
 import FadeInOnScroll from "../../components/FadeInOnScroll";
+import Picture from "../../components/Picture";
+import Lightbox from "../../components/Lightbox";
+import TagFilterBar from "../../components/TagFilterBar";
+import { useLeavingItems } from "../../hooks/useLeavingItems";
+import { PAGE_SIZE, usePagedGallery } from "../../hooks/usePagedGallery";
+import { toGalleryImage } from "../../lib/responsiveImage";
+import {
+  clearFilterParams,
+  filtersFromParams,
+  matchesFilters,
+  toggleFilterParam,
+  usedFacets,
+} from "../../lib/tags";
 
-function MasonrySection() {
-  const [images, setImages] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
+const MotionDiv = motion.div;
+
+// Scroll offsets of galleries left for another page, restored on the way back.
+const scrollPositions = new Map();
+
+function Skeletons({ count }) {
+  return (
+    <div aria-busy="true" className="masonry-skeletons">
+      {Array.from({ length: count }).map((_, i) => (
+        <div key={i} className="masonry-skeleton-card" />
+      ))}
+    </div>
+  );
+}
+
+function MasonrySection({ collectionPath = "masonry", preview = false }) {
+  const { items, done, restored, isLoading, isLoadingMore, error, loadMore, retry } =
+    usePagedGallery(collectionPath, { preview, pageSize: PAGE_SIZE });
+  const images = useMemo(() => items.map((it) => toGalleryImage(it.id, it)), [items]);
+  const scrollKey = `${preview ? "preview:" : ""}${collectionPath}`;
 
   const breakpoints = useMemo(() => ({ 350: 1, 750: 2, 900: 3 }), []);
+  const reduceMotion = useReducedMotion();
+
+  // Lightbox state lives in the URL (?photo=<id>) so a photo can be shared,
+  // and so do the tag filters (?event=wedding&city=napa).
+  const [searchParams, setSearchParams] = useSearchParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const filters = useMemo(() => filtersFromParams(searchParams), [searchParams]);
+  const selectedTags = useMemo(() => new Set(Object.values(filters).flat()), [filters]);
+  const facets = useMemo(() => usedFacets(images), [images]);
+  const shown = useMemo(
+    () => images.filter((img) => matchesFilters(img.tags, filters)),
+    [images, filters]
+  );
+  // photos unpublished in the admin (or filtered out) fade away instead of popping
+  const cards = useLeavingItems(shown);
+
+  const toggleTag = (tag) =>
+    setSearchParams((prev) => toggleFilterParam(prev, tag), { replace: true });
+  const clearTags = () => setSearchParams((prev) => clearFilterParams(prev), { replace: true });
+
+  const photoId = searchParams.get("photo");
+  const openIndex = photoId ? shown.findIndex((img) => img.id === photoId) : -1;
+
+  const setPhoto = useCallback(
+    (id, options) =>
+      setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        if (id) next.set("photo", id);
+        else next.delete("photo");
+        return next;
+      }, options),
+    [setSearchParams]
+  );
 
+  const openPhoto = (id) => setPhoto(id, { state: { lightbox: true } });
+  const showPhoto = useCallback(
+    (i) => {
+      // fetch the next page before the lightbox wraps around to the first photo
+      if (!done && i >= shown.length - 2) loadMore();
+      setPhoto(shown[i]?.id, { replace: true, state: { lightbox: true } });
+    },
+    [shown, done, loadMore, setPhoto]
+  );
+  const closePhoto = () => {
+    // opened from the grid: step back; opened from a shared link: just drop the param
+    if (location.state?.lightbox && location.key !== "default") navigate(-1);
+    else setPhoto(null, { replace: true });
+  };
+
+  // The next page starts loading a little before the end of the grid shows.
+  const { ref: sentinelRef, inView: nearEnd } = useInView({ rootMargin: "600px 0px" });
+  const canLoad = !done && !isLoadingMore && !error;
+  useEffect(() => {
+    if (nearEnd && canLoad) loadMore();
+  }, [nearEnd, canLoad, loadMore]);
+
+  // A shared ?photo= link may point further down than the pages loaded so far.
+  const photoMissing = Boolean(photoId) && openIndex < 0;
   useEffect(() => {
-    let isMounted = true;
-
-    (async () => {
-      setIsLoading(true);
-      setError(null);
-      try {
-        const q = query(collection(db, "masonry"), orderBy("index", "asc"));
-        const snap = await getDocs(q);
-        const imgs = snap.docs.map((d) => {
-          const data = d.data() || {};
-          const width = data.width;
-          const height = data.height;
-          const aspectRatio =
-            data.aspectRatio ||
-            (width && height ? width / height : undefined);
-
-          return {
-            id: d.id,
-            src: data.optimizedURL,
-            blur: data.blurDataURL,
-            alt: data.alt || "Gallery image",
-            width,
-            height,
-            aspectRatio,
-          };
-        });
-        if (isMounted) setImages(imgs);
-      } catch (err) {
-        console.error("Error loading masonry images:", err);
-        if (isMounted) setError("Couldn’t load images.");
-      } finally {
-        if (isMounted) setIsLoading(false);
-      }
-    })();
-
-    return () => {
-      isMounted = false;
-    };
-  }, []);
+    if (photoMissing && canLoad && !isLoading) loadMore();
+  }, [photoMissing, canLoad, isLoading, loadMore]);
+
+  // Coming back to the page: the pages are restored, so the old offset fits again.
+  useLayoutEffect(() => {
+    if (restored && scrollPositions.has(scrollKey)) {
+      window.scrollTo(0, scrollPositions.get(scrollKey));
+    }
+    return () => scrollPositions.set(scrollKey, window.scrollY);
+  }, [restored, scrollKey]);
 
   if (isLoading) {
     return (
       <div className="masonry-wrapper">
-        <div aria-busy="true" className="masonry-skeletons">
-          {Array.from({ length: 9 }).map((_, i) => (
-            <div key={i} className="masonry-skeleton-card" />
-          ))}
-        </div>
+        <Skeletons count={9} />
       </div>
     );
   }
 
-  if (error) {
+  if (error && !images.length) {
     return (
       <div className="masonry-wrapper" style={{ textAlign: "center" }}>
         <p>{error}</p>
-        <button onClick={() => location.reload()}>Retry</button>
+        <button onClick={retry}>Retry</button>
       </div>
     );
   }
@@ -79,15 +135,74 @@ function MasonrySection() {
 
   return (
     <div className="masonry-wrapper">
-      <ResponsiveMasonry columnsCountBreakPoints={breakpoints}>
-        <Masonry gutter="16px">
-          {images.map((img, i) => (
-            <FadeInOnScroll key={img.id}>
-              <PictureWithPlaceholder img={img} priority={i < 3} />
-            </FadeInOnScroll>
-          ))}
-        </Masonry>
-      </ResponsiveMasonry>
+      <TagFilterBar
+        facets={facets}
+        selected={selectedTags}
+        onToggle={toggleTag}
+        onClear={clearTags}
+        resultCount={shown.length}
+      />
+
+      {cards.length === 0 ? (
+        <p style={{ textAlign: "center" }}>
+          No photos match these filters.{" "}
+          <button type="button" className="underline" onClick={clearTags}>
+            Show all
+          </button>
+        </p>
+      ) : (
+        <LayoutGroup id="masonry">
+          <ResponsiveMasonry columnsCountBreakPoints={breakpoints}>
+            <Masonry gutter="16px">
+              {cards.map((img, i) => (
+                // layoutId lets a photo glide to its new column when the filters
+                // change or photos are added and removed live
+                <MotionDiv
+                  key={img.id}
+                  layoutId={`masonry-${img.id}`}
+                  initial={{ opacity: 0, scale: 0.96 }}
+                  animate={img.leaving ? { opacity: 0, scale: 0.96 } : { opacity: 1, scale: 1 }}
+                  aria-hidden={img.leaving || undefined}
+                  style={img.leaving ? { pointerEvents: "none" } : undefined}
+                  transition={
+                    reduceMotion ? { duration: 0 } : { type: "spring", stiffness: 260, damping: 30 }
+                  }
+                >
+                  <FadeInOnScroll>
+                    <PictureWithPlaceholder
+                      img={img}
+                      priority={i < 3}
+                      onOpen={() => openPhoto(img.id)}
+                    />
+                  </FadeInOnScroll>
+                </MotionDiv>
+              ))}
+            </Masonry>
+          </ResponsiveMasonry>
+        </LayoutGroup>
+      )}
+
+      {isLoadingMore && (
+        <div className="mt-4">
+          <Skeletons count={3} />
+        </div>
+      )}
+      {error && (
+        <p className="mt-6 text-center text-sm text-gray-600" role="status">
+          Lost the connection to the gallery, reconnecting…{" "}
+          <button type="button" className="underline" onClick={retry}>
+            Retry now
+          </button>
+        </p>
+      )}
+      {!done && <div ref={sentinelRef} aria-hidden="true" className="h-px" />}
+
+      <Lightbox
+        images={shown}
+        index={openIndex >= 0 ? openIndex : null}
+        onClose={closePhoto}
+        onNavigate={showPhoto}
+      />
     </div>
   );
 }
@@ -96,8 +211,9 @@ export default MasonrySection;
 
 /* ---------- Helpers ---------- */
 
-function PictureWithPlaceholder({ img, priority = false }) {
+function PictureWithPlaceholder({ img, priority = false, onOpen }) {
   const [loaded, setLoaded] = useState(false);
+  const [failed, setFailed] = useState(false);
 
   const style = img.aspectRatio
     ? { aspectRatio: String(img.aspectRatio) }
@@ -106,26 +222,40 @@ function PictureWithPlaceholder({ img, priority = false }) {
     : {};
 
   return (
-    <figure className="masonry-figure" style={style}>
-      <img
-        src={img.src}
-        alt={img.alt}
-        loading={priority ? "eager" : "lazy"}
-        fetchPriority={priority ? "high" : "auto"}
-        decoding="async"
-        sizes="(max-width: 750px) 100vw, (max-width: 900px) 50vw, 33vw"
-        onLoad={() => setLoaded(true)}
-        onError={(e) => {
-          e.currentTarget.src = "/images/fallback.jpg";
-          e.currentTarget.style.objectFit = "contain";
-        }}
-        className={`masonry-img ${loaded ? "is-loaded" : ""}`}
-        style={{
-          background: img.blur
-            ? `url(${img.blur}) center / cover no-repeat`
-            : undefined,
-        }}
-      />
+    <figure className="masonry-figure">
+      <button
+        type="button"
+        className="masonry-media"
+        style={style}
+        onClick={onOpen}
+        aria-label={`View ${img.alt}`}
+      >
+        <Picture
+          sources={failed ? [] : img.sources}
+          src={failed ? "/images/fallback.jpg" : img.src}
+          srcSet={failed ? undefined : img.srcSet}
+          alt={img.alt}
+          loading={priority ? "eager" : "lazy"}
+          fetchPriority={priority ? "high" : "auto"}
+          decoding="async"
+          sizes="(max-width: 750px) 100vw, (max-width: 900px) 50vw, 33vw"
+          onLoad={() => setLoaded(true)}
+          onError={() => setFailed(true)}
+          className={`masonry-img ${loaded ? "is-loaded" : ""}`}
+          style={{
+            objectFit: failed ? "contain" : undefined,
+            background: img.blur
+              ? `url(${img.blur}) center / cover no-repeat`
+              : undefined,
+          }}
+        />
+      </button>
+      {(img.caption || img.credit) && (
+        <figcaption className="masonry-caption">
+          {img.caption && <span>{img.caption}</span>}
+          {img.credit && <span className="masonry-credit">Photo: {img.credit}</span>}
+        </figcaption>
+      )}
     </figure>
   );
 }
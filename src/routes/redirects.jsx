@@ -0,0 +1,7 @@
+import { Navigate, useParams } from "react-router-dom";
+
+// /photo/:photoId → /?photo=:photoId, where MasonrySection opens the lightbox
+export function PhotoRedirect() {
+  const { photoId } = useParams();
+  return <Navigate to={`/?photo=${encodeURIComponent(photoId || "")}`} replace />;
+}